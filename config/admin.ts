@@ -39,4 +39,16 @@ export default ({ env }) => ({
     promoteEE: env.bool('FLAG_PROMOTE_EE', true),
   },
   url: ensureAdminUrlPath(env('ADMIN_URL', '/admin')),
+  preview: {
+    enabled: Boolean(env('PREVIEW_SECRET')),
+    config: {
+      // Frontends the admin may show in its preview panel
+      allowedOrigins: env.array('PREVIEW_ALLOWED_ORIGINS', [env('FRONTEND_URL', env('URL'))]).filter(Boolean),
+      // Preview URL, with a fresh token, on the first site of the document
+      async handler(uid: string, { documentId }: { documentId: string }) {
+        const [preview] = await strapi.service('api::preview.preview').getPreviewUrls(uid, documentId);
+        return preview?.url ?? null;
+      },
+    },
+  },
 });
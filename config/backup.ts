@@ -0,0 +1,12 @@
+export default ({ env }) => ({
+  enabled: env.bool('BACKUP_ENABLED', false),
+  // Every day at 03:00
+  schedule: env('BACKUP_CRON', '0 3 * * *'),
+  bucket: env('BACKUP_BUCKET', env('AWS_BUCKET')),
+  prefix: env('BACKUP_PREFIX', 'db-backups/'),
+  retention: {
+    daily: env.int('BACKUP_KEEP_DAILY', 7),
+    weekly: env.int('BACKUP_KEEP_WEEKLY', 4),
+    monthly: env.int('BACKUP_KEEP_MONTHLY', 12),
+  },
+});
@@ -0,0 +1,12 @@
+export default ({ env }) => ({
+  // Signing key of the sites without their own `build_hook_secret`
+  secret: env('BUILD_HOOK_SECRET'),
+  // Milliseconds without changes before the hooks are called...
+  debounce: env.int('BUILD_HOOK_DEBOUNCE', 30000),
+  // ...and at most this long after the first change of a batch
+  maxWait: env.int('BUILD_HOOK_MAX_WAIT', 300000),
+  retries: env.int('BUILD_HOOK_RETRIES', 3),
+  timeout: env.int('BUILD_HOOK_TIMEOUT', 10000),
+  // Deliveries kept in the log
+  logSize: env.int('BUILD_HOOK_LOG_SIZE', 100),
+});
@@ -0,0 +1,16 @@
+export default ({ env }) => ({
+  enabled: env.bool('CACHE_ENABLED', true),
+  // `memory` (per process) or `redis` (shared, needs the ioredis package)
+  store: env('CACHE_STORE', 'memory'),
+  // Responses kept by the in-memory store
+  max: env.int('CACHE_MAX_ENTRIES', 1000),
+  redis: {
+    url: env('CACHE_REDIS_URL', 'redis://127.0.0.1:6379'),
+    prefix: env('CACHE_REDIS_PREFIX', 'strapi:cache:'),
+  },
+  // Seconds a response is served from the cache without a purge
+  ttl: env.int('CACHE_TTL', 300),
+  // Cache-Control lifetimes for browsers and for shared caches (CDNs)
+  maxAge: env.int('CACHE_MAX_AGE', 0),
+  sMaxAge: env.int('CACHE_S_MAXAGE', 60),
+});
@@ -0,0 +1,5 @@
+export default ({ env }) => ({
+  title: env('FEED_TITLE', 'Blog'),
+  description: env('FEED_DESCRIPTION', ''),
+  limit: env.int('FEED_LIMIT', 20),
+});
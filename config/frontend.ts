@@ -0,0 +1,9 @@
+export default ({ env }) => ({
+  // Frontend serving the content, used for entries not tied to a site with a domain
+  url: env('FRONTEND_URL', env('URL')),
+  // Paths of posts and categories on the frontends
+  postPath: env('FRONTEND_POST_PATH', '/posts/:slug'),
+  categoryPath: env('FRONTEND_CATEGORY_PATH', '/categories/:slug'),
+  // Preview route of the frontends; also accepts :type (post, category, author) and :documentId
+  previewPath: env('FRONTEND_PREVIEW_PATH', '/api/preview?type=:type&slug=:slug&token=:token'),
+});
@@ -9,4 +9,13 @@ export default [
   'strapi::session',
   'strapi::favicon',
   'strapi::public',
+  {
+    name: 'global::site-scope',
+    config: {
+      header: 'x-site',
+      useHost: true,
+    },
+  },
+  'global::preview',
+  'global::cache',
 ];
@@ -0,0 +1,6 @@
+export default ({ env }) => ({
+  // Signs the preview tokens letting frontends read draft versions; preview is off without it
+  secret: env('PREVIEW_SECRET'),
+  // Lifetime of preview tokens, in seconds
+  tokenTtl: env.int('PREVIEW_TOKEN_TTL', 3600),
+});
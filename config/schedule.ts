@@ -0,0 +1,5 @@
+export default ({ env }) => ({
+  enabled: env.bool('SCHEDULE_ENABLED', true),
+  // How often due publish/unpublish actions are run: every minute
+  rule: env('SCHEDULE_CRON', '* * * * *'),
+});
@@ -0,0 +1,4 @@
+export default ({ env }) => ({
+  // PostgreSQL text search configuration (stemming, stop words)
+  language: env('SEARCH_LANGUAGE', 'english'),
+});
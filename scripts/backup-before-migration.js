@@ -6,14 +6,19 @@
  *
  * Usage:
  *   node scripts/backup-before-migration.js
+ *   node scripts/backup-before-migration.js --checksum
  *   node scripts/backup-before-migration.js --env=production
+ *
+ * `--checksum` downloads every file and records its SHA-256 in the JSON
+ * export, for `verify-migration.js --checksum`.
  */
 
 require('dotenv').config();
 const path = require('path');
 const fs = require('fs');
-const DBHelper = require('./utils/db-helper');
-const BackupHelper = require('./utils/backup-helper');
+const DBHelper = require('../src/utils/db-helper');
+const BackupHelper = require('../src/utils/backup-helper');
+const { createProvider } = require('./providers');
 const logger = require('./utils/logger');
 
 const BACKUP_DIR = path.resolve(__dirname, '../backups');
@@ -25,6 +30,7 @@ async function main() {
     // Parse arguments
     const args = process.argv.slice(2);
     const isProduction = args.includes('--env=production');
+    const checksum = args.includes('--checksum');
 
     logger.info(`Environment: ${isProduction ? 'Production' : 'Local'}`);
 
@@ -55,17 +61,22 @@ async function main() {
 
     if (db.client === 'sqlite') {
       const dbPath = path.resolve(process.cwd(), process.env.DATABASE_FILENAME || '.tmp/data.db');
-      databaseBackup = BackupHelper.backupSQLite(dbPath, BACKUP_DIR);
+      databaseBackup = await BackupHelper.backupSQLite(dbPath, BACKUP_DIR);
       logger.success(`SQLite database backed up to: ${path.basename(databaseBackup)}`);
     } else {
       const connectionString = process.env.DATABASE_PRIVATE_URL || process.env.DATABASE_URL;
-      databaseBackup = BackupHelper.backupPostgreSQL(connectionString, BACKUP_DIR);
+      databaseBackup = await BackupHelper.backupPostgreSQL(connectionString, BACKUP_DIR);
       logger.success(`PostgreSQL database backed up to: ${path.basename(databaseBackup)}`);
     }
 
     // Step 2: Export to JSON
     logger.section('Step 2: JSON Export');
-    const jsonBackup = await BackupHelper.exportToJSON(db, BACKUP_DIR);
+    if (checksum) {
+      logger.info('Downloading files to record checksums...');
+    }
+    const jsonBackup = await BackupHelper.exportToJSON(db, BACKUP_DIR, {
+      source: checksum ? createProvider('cloudinary', process.env, 'MIGRATE_FROM_') : null,
+    });
     logger.success(`JSON backup created: ${path.basename(jsonBackup)} (${files.length} files)`);
 
     // Step 3: Export to CSV
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+
+/**
+ * Cleanup Orphaned Media
+ * Lists every object in the bucket and compares the keys with the `hash + ext`
+ * keys (including format variants) referenced by the `files` table.
+ * Orphans are only reported unless --apply is given together with a
+ * minimum-age guard; every run writes an audit report to ./backups/.
+ *
+ * Usage:
+ *   node scripts/cleanup-orphaned-media.js
+ *   node scripts/cleanup-orphaned-media.js --apply --min-age-days=30
+ *   node scripts/cleanup-orphaned-media.js --exclude=static/,exports/
+ *   node scripts/cleanup-orphaned-media.js --env=production
+ */
+
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs');
+const readline = require('readline');
+const DBHelper = require('../src/utils/db-helper');
+const R2Uploader = require('../src/utils/r2-uploader');
+const BackupHelper = require('../src/utils/backup-helper');
+const logger = require('./utils/logger');
+
+const BACKUP_DIR = path.resolve(__dirname, '../backups');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Prompt user for confirmation
+ */
+function prompt(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes');
+    });
+  });
+}
+
+/**
+ * Collect every bucket key referenced by the files table
+ */
+function getReferencedKeys(files) {
+  const keys = new Set();
+
+  files.forEach((file) => {
+    keys.add(`${file.hash}${file.ext}`);
+    Object.values(DBHelper.parseJSON(file.formats) || {}).forEach((format) => {
+      keys.add(`${format.hash}${format.ext}`);
+    });
+  });
+
+  return keys;
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+  }
+  return `${(bytes / 1024).toFixed(2)} KB`;
+}
+
+async function main() {
+  try {
+    logger.section('Orphaned Media Cleanup');
+
+    // Parse arguments
+    const args = process.argv.slice(2);
+    const getArg = (name) => {
+      const arg = args.find((a) => a.startsWith(`--${name}=`));
+      return arg ? arg.split('=')[1] : null;
+    };
+    const apply = args.includes('--apply');
+    const skipPrompt = args.includes('--yes');
+    const isProduction = args.includes('--env=production');
+    const minAgeArg = getArg('min-age-days');
+    const minAgeDays = minAgeArg === null ? null : Number(minAgeArg);
+    const prefix = getArg('prefix') || undefined;
+    const excludes = getArg('exclude') ? getArg('exclude').split(',') : [];
+
+    // Scheduled database backups live in the same bucket and are never referenced by the DB
+    excludes.push(process.env.BACKUP_PREFIX || 'db-backups/');
+
+    if (minAgeDays !== null && (!Number.isFinite(minAgeDays) || minAgeDays < 0)) {
+      logger.error(`Invalid --min-age-days: ${minAgeArg}`);
+      process.exit(1);
+    }
+
+    // Deleting requires an explicit age guard so fresh uploads are never touched
+    if (apply && !(minAgeDays > 0)) {
+      logger.error('--apply requires --min-age-days=N with N > 0');
+      process.exit(1);
+    }
+
+    if (!apply) {
+      logger.warn('REPORT MODE - Nothing will be deleted (use --apply --min-age-days=N)');
+    }
+
+    logger.info(`Environment: ${isProduction ? 'Production' : 'Local'}`);
+
+    // Initialize database
+    logger.info('Connecting to database...');
+    const db = await DBHelper.init(process.env);
+    logger.success(`Connected to ${db.client} database`);
+
+    const files = await db.getAllFiles();
+    await db.close();
+
+    const referencedKeys = getReferencedKeys(files);
+    logger.info(`Referenced keys: ${referencedKeys.size} (${files.length} files)`);
+
+    // List bucket
+    const uploader = R2Uploader.fromEnv(process.env);
+    logger.info(`Listing bucket "${uploader.bucket}"${prefix ? ` (prefix: ${prefix})` : ''}...`);
+    const objects = await uploader.listObjects(prefix);
+    logger.info(`Bucket objects: ${objects.length}`);
+
+    // Detect orphans
+    const now = Date.now();
+    const orphans = objects
+      .filter((object) => !referencedKeys.has(object.key))
+      .filter((object) => !excludes.some((exclude) => object.key.startsWith(exclude)))
+      .map((object) => {
+        const ageDays = (now - new Date(object.lastModified).getTime()) / DAY_MS;
+        return {
+          key: object.key,
+          size: object.size,
+          last_modified: new Date(object.lastModified).toISOString(),
+          age_days: Math.floor(ageDays),
+          eligible: minAgeDays !== null && ageDays >= minAgeDays,
+        };
+      })
+      .sort((a, b) => b.age_days - a.age_days);
+
+    logger.section('Orphaned Objects');
+    orphans.forEach((orphan) => {
+      logger.info(
+        `${orphan.key} (${formatSize(orphan.size)}, ${orphan.age_days} days old)${
+          minAgeDays !== null && !orphan.eligible ? ' [too recent]' : ''
+        }`
+      );
+    });
+
+    const totalSize = orphans.reduce((sum, orphan) => sum + orphan.size, 0);
+    const eligible = orphans.filter((orphan) => orphan.eligible);
+
+    // Delete
+    let deletion = { deleted: [], errors: [] };
+
+    if (apply && eligible.length > 0) {
+      const confirmed =
+        skipPrompt ||
+        (await prompt(
+          `\nDelete ${eligible.length} orphaned objects older than ${minAgeDays} days? (y/N): `
+        ));
+
+      if (confirmed) {
+        logger.section('Deleting');
+        deletion = await uploader.deleteObjects(eligible.map((orphan) => orphan.key));
+        deletion.errors.forEach((error) => logger.error(`${error.key}: ${error.message}`));
+        logger.success(`Deleted ${deletion.deleted.length} objects`);
+      } else {
+        logger.info('Deletion cancelled');
+      }
+    }
+
+    // Audit report
+    if (!fs.existsSync(BACKUP_DIR)) {
+      fs.mkdirSync(BACKUP_DIR, { recursive: true });
+    }
+
+    const deletedKeys = new Set(deletion.deleted);
+    const deletedAt = new Date().toISOString();
+    const reportPath = path.join(
+      BACKUP_DIR,
+      `orphaned-media-report-${BackupHelper.getTimestamp()}.json`
+    );
+    fs.writeFileSync(
+      reportPath,
+      JSON.stringify(
+        {
+          generated_at: deletedAt,
+          bucket: uploader.bucket,
+          prefix: prefix || null,
+          excludes,
+          applied: apply,
+          min_age_days: minAgeDays,
+          statistics: {
+            bucket_objects: objects.length,
+            referenced_keys: referencedKeys.size,
+            orphans: orphans.length,
+            orphans_size_bytes: totalSize,
+            deleted: deletion.deleted.length,
+            delete_errors: deletion.errors.length,
+          },
+          orphans: orphans.map((orphan) => ({
+            ...orphan,
+            deleted_at: deletedKeys.has(orphan.key) ? deletedAt : null,
+          })),
+          delete_errors: deletion.errors,
+        },
+        null,
+        2
+      )
+    );
+
+    // Summary
+    logger.section('Cleanup Summary');
+    logger.stats({
+      'Bucket Objects': objects.length,
+      'Referenced Keys': referencedKeys.size,
+      'Orphans': orphans.length,
+      'Orphans Size': formatSize(totalSize),
+      'Eligible For Deletion': minAgeDays !== null ? eligible.length : 'N/A',
+      'Deleted': deletion.deleted.length,
+      'Report': path.basename(reportPath),
+    });
+
+    logger.complete(apply ? 'Cleanup completed' : 'Orphan report completed');
+
+    if (deletion.errors.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    logger.error(`Cleanup failed: ${error.message}`);
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = main;
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Content Export
+ * Serializes posts with their author, category and site, every
+ * `content_blocks` component and the referenced media into a portable bundle
+ * that import-content.js can load into another Strapi instance
+ *
+ * Usage:
+ *   node scripts/export-content.js --slugs=hello-world,second-post
+ *   node scripts/export-content.js --category=news
+ *   node scripts/export-content.js --site=blog --output=exports/blog
+ *   node scripts/export-content.js --all
+ */
+
+require('dotenv').config();
+const path = require('path');
+const BackupHelper = require('../src/utils/backup-helper');
+const StrapiHelper = require('./utils/strapi-helper');
+const ContentBundleHelper = require('./utils/content-bundle-helper');
+const logger = require('./utils/logger');
+
+const BACKUP_DIR = path.resolve(__dirname, '../backups');
+
+async function main() {
+  let app;
+
+  try {
+    logger.section('Content Export');
+
+    // Parse arguments
+    const args = process.argv.slice(2);
+    const getArg = (name) => {
+      const arg = args.find((a) => a.startsWith(`--${name}=`));
+      return arg ? arg.split('=')[1] : null;
+    };
+    const all = args.includes('--all');
+    const slugs = getArg('slugs') ? getArg('slugs').split(',').map((slug) => slug.trim()) : null;
+    const category = getArg('category');
+    const site = getArg('site');
+
+    if (!all && !slugs && !category && !site) {
+      throw new Error('Select posts with --slugs=, --category=, --site= or --all');
+    }
+
+    const filters = {};
+    if (slugs) {
+      filters.slug = { $in: slugs };
+    }
+    if (category) {
+      filters.category = { slug: category };
+    }
+    if (site) {
+      filters.site = { site };
+    }
+
+    const outputArg = getArg('output');
+    const dir = outputArg
+      ? path.resolve(process.cwd(), outputArg)
+      : path.join(BACKUP_DIR, `content-export-${BackupHelper.getTimestamp()}`);
+
+    logger.info('Loading Strapi...');
+    app = await StrapiHelper.load();
+
+    const result = await ContentBundleHelper.exportBundle(app, { filters, dir });
+
+    if (!result.entries['api::post.post']) {
+      logger.warn('No posts matched the selection');
+    }
+
+    result.errors.forEach((error) =>
+      logger.warn(`Could not export media ${error.name} (${error.hash}): ${error.error}`)
+    );
+
+    // Summary
+    logger.section('Export Summary');
+    logger.stats({
+      ...result.entries,
+      'Media Files': result.media,
+      'Media Errors': result.errors.length,
+      'Bundle': path.relative(process.cwd(), dir),
+    });
+
+    await app.destroy();
+    logger.complete('Content export completed');
+    process.exit(result.errors.length > 0 ? 1 : 0);
+  } catch (error) {
+    logger.error(`Export failed: ${error.message}`);
+    console.error(error);
+    if (app) {
+      await app.destroy();
+    }
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = main;
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Content Import
+ * Recreates the posts, relations and media of a bundle written by
+ * export-content.js. Entries whose slug (or name) already exists are updated,
+ * the others are created; media are reused when already present.
+ *
+ * Usage:
+ *   node scripts/import-content.js --bundle=backups/content-export-2025-12-23-10-00-00 --dry-run
+ *   node scripts/import-content.js --bundle=backups/content-export-2025-12-23-10-00-00
+ *   node scripts/import-content.js --bundle=exports/blog --yes --env=production
+ */
+
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs');
+const readline = require('readline');
+const BackupHelper = require('../src/utils/backup-helper');
+const StrapiHelper = require('./utils/strapi-helper');
+const ContentBundleHelper = require('./utils/content-bundle-helper');
+const logger = require('./utils/logger');
+
+const BACKUP_DIR = path.resolve(__dirname, '../backups');
+
+/**
+ * Prompt user for confirmation
+ */
+function prompt(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes');
+    });
+  });
+}
+
+async function main() {
+  let app;
+
+  try {
+    logger.section('Content Import');
+
+    // Parse arguments
+    const args = process.argv.slice(2);
+    const getArg = (name) => {
+      const arg = args.find((a) => a.startsWith(`--${name}=`));
+      return arg ? arg.split('=')[1] : null;
+    };
+    const dryRun = args.includes('--dry-run');
+    const skipPrompt = args.includes('--yes');
+    const isProduction = args.includes('--env=production');
+
+    if (!getArg('bundle')) {
+      throw new Error('Bundle path is required: --bundle=<directory>');
+    }
+
+    const bundlePath = path.resolve(process.cwd(), getArg('bundle'));
+    const bundle = ContentBundleHelper.loadBundle(bundlePath);
+
+    logger.info(`Environment: ${isProduction ? 'Production' : 'Local'}`);
+    logger.info(`Mode: ${dryRun ? 'DRY RUN' : 'IMPORT'}`);
+    logger.info(`Bundle created at: ${bundle.created_at}`);
+    Object.entries(ContentBundleHelper.countByType(bundle.entries)).forEach(([uid, count]) =>
+      logger.info(`  ${uid}: ${count}`)
+    );
+    logger.info(`  Media files: ${bundle.media.length}`);
+
+    if (!dryRun && !skipPrompt) {
+      const confirmed = await prompt(`\nImport ${bundle.entries.length} entries? (y/N): `);
+      if (!confirmed) {
+        logger.info('Import cancelled');
+        process.exit(0);
+      }
+    }
+
+    logger.info('Loading Strapi...');
+    app = await StrapiHelper.load();
+
+    const result = await ContentBundleHelper.importBundle(app, bundlePath, { dryRun });
+
+    result.entries.forEach((entry) =>
+      logger.info(
+        `${dryRun ? '[DRY-RUN] ' : ''}${entry.action} ${entry.uid} ${JSON.stringify(entry.match)}`
+      )
+    );
+    result.errors.forEach((error) => logger.warn(JSON.stringify(error)));
+
+    // Write report
+    if (!fs.existsSync(BACKUP_DIR)) {
+      fs.mkdirSync(BACKUP_DIR, { recursive: true });
+    }
+    const reportPath = path.join(
+      BACKUP_DIR,
+      `content-import-report-${BackupHelper.getTimestamp()}.json`
+    );
+    fs.writeFileSync(
+      reportPath,
+      JSON.stringify({ bundle: bundlePath, dry_run: dryRun, ...result }, null, 2)
+    );
+
+    // Summary
+    const count = (items, action) => items.filter((item) => item.action === action).length;
+    logger.section('Import Summary');
+    logger.stats({
+      'Created': count(result.entries, 'create'),
+      'Updated': count(result.entries, 'update'),
+      'Media Uploaded': count(result.media, 'upload'),
+      'Media Reused': count(result.media, 'reuse'),
+      'Errors': result.errors.length,
+      'Report': path.basename(reportPath),
+    });
+
+    await app.destroy();
+
+    if (result.errors.length > 0) {
+      logger.warn('Import completed with errors, see the report for details');
+      process.exit(1);
+    }
+
+    logger.complete(dryRun ? 'Dry run completed - no changes made' : 'Content import completed');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Import failed: ${error.message}`);
+    console.error(error);
+    if (app) {
+      await app.destroy();
+    }
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = main;
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Media Usage Report
+ * Lists unused media files, files used only by drafts and files shared by
+ * several entries (posts, authors, categories, sites and their components)
+ *
+ * Usage:
+ *   node scripts/media-usage-report.js
+ *   node scripts/media-usage-report.js --format=csv --output=unused-media.csv
+ *   node scripts/media-usage-report.js --env=production
+ */
+
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs');
+const DBHelper = require('../src/utils/db-helper');
+const BackupHelper = require('../src/utils/backup-helper');
+const MediaUsageHelper = require('../src/utils/media-usage-helper');
+const logger = require('./utils/logger');
+
+const BACKUP_DIR = path.resolve(__dirname, '../backups');
+
+const CSV_COLUMNS = ['category', 'file_id', 'file_name', 'url', 'mime', 'size_kb', 'entries', 'used_by'];
+
+/**
+ * Serialize the report to CSV (one row per file and category)
+ */
+function toCSV(report) {
+  const escape = (value) => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = ['unused', 'drafts_only', 'shared'].flatMap((category) =>
+    report[category].map((file) =>
+      [
+        category,
+        file.id,
+        file.name,
+        file.url,
+        file.mime,
+        file.size,
+        file.entries ?? '',
+        (file.usages || [])
+          .map((usage) => `${usage.content_type}#${usage.entry_id} ${usage.field} (${usage.status})`)
+          .join('; '),
+      ]
+        .map(escape)
+        .join(',')
+    )
+  );
+
+  return `${CSV_COLUMNS.join(',')}\n${rows.join('\n')}\n`;
+}
+
+async function main() {
+  try {
+    logger.section('Media Usage Report');
+
+    // Parse arguments
+    const args = process.argv.slice(2);
+    const getArg = (name) => {
+      const arg = args.find((a) => a.startsWith(`--${name}=`));
+      return arg ? arg.split('=')[1] : null;
+    };
+    const isProduction = args.includes('--env=production');
+    const format = getArg('format') || 'json';
+
+    if (!['json', 'csv'].includes(format)) {
+      throw new Error(`Unsupported report format: ${format} (json, csv)`);
+    }
+
+    logger.info(`Environment: ${isProduction ? 'Production' : 'Local'}`);
+
+    // Initialize database
+    logger.info('Connecting to database...');
+    const db = await DBHelper.init(process.env);
+    logger.success(`Connected to ${db.client} database`);
+
+    const report = await MediaUsageHelper.buildReport(db);
+    await db.close();
+
+    // Write report
+    if (!fs.existsSync(BACKUP_DIR)) {
+      fs.mkdirSync(BACKUP_DIR, { recursive: true });
+    }
+
+    const outputArg = getArg('output');
+    const reportPath = outputArg
+      ? path.resolve(process.cwd(), outputArg)
+      : path.join(BACKUP_DIR, `media-usage-report-${BackupHelper.getTimestamp()}.${format}`);
+
+    fs.writeFileSync(
+      reportPath,
+      format === 'csv' ? toCSV(report) : JSON.stringify(report, null, 2)
+    );
+
+    // Summary
+    logger.section('Unused Files');
+    report.unused.forEach((file) => logger.info(`#${file.id} ${file.name} (${file.size} KB)`));
+
+    logger.section('Used Only By Drafts');
+    report.drafts_only.forEach((file) => logger.info(`#${file.id} ${file.name}`));
+
+    logger.section('Shared By Several Entries');
+    report.shared.forEach((file) => logger.info(`#${file.id} ${file.name} (${file.entries} entries)`));
+
+    logger.section('Report Summary');
+    logger.stats({
+      'Total Files': report.summary.total_files,
+      'Used': report.summary.used,
+      'Unused': `${report.summary.unused} (${report.summary.unused_size_kb} KB)`,
+      'Drafts Only': report.summary.drafts_only,
+      'Shared': report.summary.shared,
+      'Report': path.basename(reportPath),
+    });
+
+    logger.complete('Media usage report completed');
+  } catch (error) {
+    logger.error(`Report failed: ${error.message}`);
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = main;
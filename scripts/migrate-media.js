@@ -0,0 +1,435 @@
+#!/usr/bin/env node
+
+/**
+ * Migrate Media Between Upload Providers
+ * Resumable, concurrent pipeline moving files (and their format variants)
+ * from one storage provider to another
+ *
+ * Supported providers: cloudinary, aws-s3 (any S3-compatible store), local
+ *
+ * Usage:
+ *   node scripts/migrate-media.js --from=cloudinary --to=aws-s3
+ *   node scripts/migrate-media.js --from=local --to=aws-s3 --dry-run
+ *   node scripts/migrate-media.js --from=aws-s3 --to=local
+ *   node scripts/migrate-media.js --from=aws-s3 --to=aws-s3 --env=production
+ *
+ * Source and target read the usual variables (AWS_BUCKET, CLOUDINARY_NAME, ...).
+ * Prefix a variable with MIGRATE_FROM_ or MIGRATE_TO_ to override it for one
+ * side only, e.g. MIGRATE_TO_AWS_BUCKET=new-bucket to move into a new bucket.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs');
+const { default: pLimit } = require('p-limit');
+const DBHelper = require('../src/utils/db-helper');
+const { createProvider } = require('./providers');
+const logger = require('./utils/logger');
+
+const CONCURRENCY = 3; // Max concurrent uploads
+
+/**
+ * Resolve the state file for a migration direction
+ * Cloudinary to S3 keeps the historical `migration-state.json` name
+ */
+function getStateFile(from, to) {
+  const name =
+    from === 'cloudinary' && to === 'aws-s3'
+      ? 'migration-state.json'
+      : `migration-state-${from}-to-${to}.json`;
+  return path.resolve(__dirname, name);
+}
+
+/**
+ * Load migration state
+ */
+function loadState(stateFile, from, to) {
+  if (fs.existsSync(stateFile)) {
+    return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  }
+
+  return {
+    migration_id: `migration-${new Date().toISOString().replace(/[:.]/g, '-').split('.')[0]}`,
+    source: from,
+    target: to,
+    start_time: new Date().toISOString(),
+    end_time: null,
+    status: 'in_progress',
+    statistics: {
+      total_files: 0,
+      processed: 0,
+      success: 0,
+      failed: 0,
+      skipped: 0,
+    },
+    processed_files: [],
+    failed_files: [],
+    skipped_files: [],
+  };
+}
+
+/**
+ * Save migration state
+ */
+function saveState(stateFile, state) {
+  fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Download from the source provider with retries
+ */
+async function downloadWithRetry(source, entry, retries = 3) {
+  for (let i = 0; i < retries; i++) {
+    try {
+      return await source.download(entry);
+    } catch (error) {
+      if (i === retries - 1) {
+        throw new Error(`Download failed after ${retries} retries: ${error.message}`);
+      }
+      logger.warn(`Download failed (attempt ${i + 1}/${retries}), retrying...`);
+      await new Promise((resolve) => setTimeout(resolve, 1000 * (i + 1))); // Exponential backoff
+    }
+  }
+}
+
+/**
+ * Copy one entry (original file or format variant) from source to target
+ * @returns {Promise<{url: string, providerMetadata: Object|null, alreadyExisted: boolean}>}
+ */
+async function transferEntry(entry, source, target, dryRun = false) {
+  const exists = await target.exists(entry);
+  if (exists) {
+    logger.debug(`Already exists in ${target.name}, skipping upload: ${target.getKey(entry)}`);
+    return { ...target.locate(entry), alreadyExisted: true };
+  }
+
+  if (dryRun) {
+    const { url, providerMetadata } = target.locate(entry);
+    return { url: `[DRY-RUN] ${url}`, providerMetadata, alreadyExisted: false };
+  }
+
+  const buffer = await downloadWithRetry(source, entry);
+  const location = await target.upload(entry, buffer);
+  return { ...location, alreadyExisted: false };
+}
+
+/**
+ * Migrate responsive format variants (thumbnail, small, medium, large)
+ * Each format is copied under its own hash key and the formats object is
+ * rewritten with the new URLs. Formats missing on the source are dropped.
+ */
+async function migrateFormats(file, source, target, dryRun = false) {
+  const formats = DBHelper.parseJSON(file.formats);
+  if (!formats) {
+    return { formats: null, results: {} };
+  }
+
+  const newFormats = {};
+  const results = {};
+
+  for (const [name, format] of Object.entries(formats)) {
+    const entry = { mime: file.mime, ...format };
+
+    if (!(await source.exists(entry))) {
+      results[name] = {
+        status: 'skipped',
+        original_url: format.url,
+        reason: `Format not found on ${source.name}`,
+      };
+      continue;
+    }
+
+    const { url, providerMetadata, alreadyExisted } = await transferEntry(
+      entry,
+      source,
+      target,
+      dryRun
+    );
+
+    newFormats[name] = {
+      ...format,
+      url,
+      provider_metadata: providerMetadata,
+    };
+    results[name] = {
+      status: 'success',
+      original_url: format.url,
+      new_url: url,
+      file_size: format.size,
+      already_existed: alreadyExisted,
+    };
+  }
+
+  return {
+    formats: Object.keys(newFormats).length > 0 ? newFormats : null,
+    results,
+  };
+}
+
+/**
+ * Migrate single file
+ */
+async function migrateFile(file, source, target, db, dryRun = false) {
+  const startTime = Date.now();
+
+  try {
+    logger.debug(`Processing: ${file.name} (ID: ${file.id})`);
+
+    // Check if file exists on the source
+    if (!(await source.exists(file))) {
+      return {
+        status: 'skipped',
+        reason: `File not found on ${source.name}`,
+      };
+    }
+
+    const { url, providerMetadata } = await transferEntry(file, source, target, dryRun);
+
+    // Migrate format variants
+    const { formats, results: formatResults } = await migrateFormats(
+      file,
+      source,
+      target,
+      dryRun
+    );
+
+    // Update database
+    if (!dryRun) {
+      await db.updateFileProvider(file.id, {
+        url,
+        provider: target.name,
+        providerMetadata,
+        formats,
+      });
+    }
+
+    const duration = Date.now() - startTime;
+
+    return {
+      status: 'success',
+      original_url: file.url,
+      new_url: url,
+      file_size: file.size,
+      formats: formatResults,
+      upload_duration_ms: duration,
+    };
+  } catch (error) {
+    return {
+      status: 'failed',
+      error: error.message,
+      stack_trace: error.stack,
+      retry_count: 3,
+    };
+  }
+}
+
+/**
+ * Run a migration
+ * @param {Object} options
+ * @param {string} options.from - Source provider name
+ * @param {string} options.to - Target provider name
+ * @param {boolean} options.dryRun - Simulate without writing anything
+ * @param {boolean} options.isProduction - Only used for logging
+ */
+async function migrate({ from, to, dryRun = false, isProduction = false }) {
+  logger.section(`Media Migration: ${from} → ${to}`);
+
+  if (dryRun) {
+    logger.warn('DRY RUN MODE - No actual changes will be made');
+  }
+
+  logger.info(`Environment: ${isProduction ? 'Production' : 'Local'}`);
+
+  // Initialize providers
+  const source = createProvider(from, process.env, 'MIGRATE_FROM_');
+  const target = createProvider(to, process.env, 'MIGRATE_TO_');
+
+  if (source.name === target.name && source.describe() === target.describe()) {
+    throw new Error(
+      `Source and target are the same ${source.describe()}; set MIGRATE_TO_* variables to change the target`
+    );
+  }
+
+  logger.success(`Source: ${source.name} (${source.describe()})`);
+  logger.success(`Target: ${target.name} (${target.describe()})`);
+
+  // Initialize database
+  logger.info('Connecting to database...');
+  const db = await DBHelper.init(process.env);
+  logger.success(`Connected to ${db.client} database`);
+
+  // Load migration state
+  const stateFile = getStateFile(from, to);
+  const state = loadState(stateFile, from, to);
+  logger.info(`Migration ID: ${state.migration_id}`);
+  logger.info(`State file: ${path.basename(stateFile)}`);
+
+  // Get files to migrate
+  const allFiles = await db.getFilesByProvider(source.name);
+  const processedIds = state.processed_files.map((f) => f.id);
+  const files = allFiles.filter((f) => !processedIds.includes(f.id));
+
+  state.statistics.total_files = allFiles.length;
+
+  logger.info(`Total ${source.name} files: ${allFiles.length}`);
+  logger.info(`Already processed: ${processedIds.length}`);
+  logger.info(`Remaining: ${files.length}`);
+
+  if (files.length === 0) {
+    logger.success('No files to migrate');
+    await db.close();
+    return state;
+  }
+
+  // Migrate files with concurrency control
+  logger.section('Migration Progress');
+
+  const limit = pLimit(CONCURRENCY);
+  let processed = 0;
+
+  const promises = files.map((file) =>
+    limit(async () => {
+      try {
+        if (!dryRun) {
+          await db.beginTransaction();
+        }
+
+        const result = await migrateFile(file, source, target, db, dryRun);
+
+        if (!dryRun) {
+          await db.commit();
+        }
+
+        // Update state
+        if (result.status === 'success') {
+          state.statistics.success++;
+          state.processed_files.push({
+            id: file.id,
+            ...result,
+            timestamp: new Date().toISOString(),
+          });
+        } else if (result.status === 'failed') {
+          state.statistics.failed++;
+          state.failed_files.push({
+            id: file.id,
+            original_url: file.url,
+            ...result,
+            timestamp: new Date().toISOString(),
+          });
+        } else if (result.status === 'skipped') {
+          state.statistics.skipped++;
+          state.skipped_files.push({
+            id: file.id,
+            ...result,
+            original_url: file.url,
+            timestamp: new Date().toISOString(),
+          });
+        }
+
+        processed++;
+        state.statistics.processed = processed;
+        saveState(stateFile, state);
+
+        logger.progress(processed, files.length, file.name);
+
+        return result;
+      } catch (error) {
+        if (!dryRun) {
+          await db.rollback();
+        }
+
+        logger.error(`Failed to migrate file ${file.id}: ${error.message}`);
+
+        state.statistics.failed++;
+        state.failed_files.push({
+          id: file.id,
+          original_url: file.url,
+          status: 'failed',
+          error: error.message,
+          timestamp: new Date().toISOString(),
+        });
+
+        processed++;
+        state.statistics.processed = processed;
+        saveState(stateFile, state);
+      }
+    })
+  );
+
+  await Promise.all(promises);
+
+  // Update final state
+  state.end_time = new Date().toISOString();
+  state.status = state.statistics.failed > 0 ? 'completed_with_errors' : 'completed';
+  saveState(stateFile, state);
+
+  // Close database
+  await db.close();
+
+  // Summary
+  logger.section('Migration Summary');
+  logger.stats({
+    'Total Files': state.statistics.total_files,
+    'Processed': state.statistics.processed,
+    'Success': state.statistics.success,
+    'Failed': state.statistics.failed,
+    'Skipped': state.statistics.skipped,
+    'Status': state.status,
+  });
+
+  if (state.statistics.failed > 0) {
+    logger.warn(`\n${state.statistics.failed} files failed to migrate`);
+    logger.info(`Check ${path.basename(stateFile)} for details`);
+  }
+
+  logger.complete(`Migration ${state.status}`);
+
+  if (!dryRun) {
+    logger.info('\nNext steps:');
+    logger.info('1. Verify images in Strapi Media Library');
+    logger.info(`2. Check ${path.basename(stateFile)} for any failed files`);
+    logger.info(`3. Switch the upload provider in config/plugins.ts to "${target.name}" if needed`);
+    logger.info(`4. Monitor for 24-48 hours before cleaning up ${source.name}`);
+  }
+
+  return state;
+}
+
+async function main() {
+  try {
+    // Parse arguments
+    const args = process.argv.slice(2);
+    const getArg = (name) => {
+      const arg = args.find((a) => a.startsWith(`--${name}=`));
+      return arg ? arg.split('=')[1] : null;
+    };
+
+    const from = getArg('from');
+    const to = getArg('to');
+
+    if (!from || !to) {
+      logger.error('Both --from and --to are required (cloudinary, aws-s3, local)');
+      process.exit(1);
+    }
+
+    await migrate({
+      from,
+      to,
+      dryRun: args.includes('--dry-run'),
+      isProduction: args.includes('--env=production'),
+    });
+  } catch (error) {
+    logger.error(`Migration failed: ${error.message}`);
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = main;
+module.exports.migrate = migrate;
+module.exports.getStateFile = getStateFile;
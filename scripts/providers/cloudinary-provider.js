@@ -0,0 +1,176 @@
+/**
+ * Cloudinary Provider - Storage adapter matching Strapi's `cloudinary` upload provider
+ * Files are addressed by their hash as Cloudinary `public_id`
+ */
+
+const axios = require('axios');
+
+class CloudinaryProvider {
+  constructor(config = {}) {
+    this.name = 'cloudinary';
+    this.config = config;
+    this.client = null;
+  }
+
+  /**
+   * Lazily configure the Cloudinary SDK (only needed for API calls and uploads)
+   */
+  getClient() {
+    if (!this.client) {
+      if (!this.hasCredentials()) {
+        throw new Error(
+          'CLOUDINARY_NAME, CLOUDINARY_KEY and CLOUDINARY_SECRET are required to write to Cloudinary'
+        );
+      }
+      const { v2 } = require('cloudinary');
+      v2.config({
+        cloud_name: this.config.cloudName,
+        api_key: this.config.apiKey,
+        api_secret: this.config.apiSecret,
+      });
+      this.client = v2;
+    }
+    return this.client;
+  }
+
+  hasCredentials() {
+    return Boolean(this.config.cloudName && this.config.apiKey && this.config.apiSecret);
+  }
+
+  /**
+   * Public ID of a file or format entry
+   */
+  getKey(entry) {
+    return entry.hash;
+  }
+
+  /**
+   * Cloudinary resource type for a MIME type
+   */
+  getResourceType(entry) {
+    const mime = entry.mime || '';
+    if (mime.startsWith('image/')) {
+      return 'image';
+    }
+    if (mime.startsWith('video/') || mime.startsWith('audio/')) {
+      return 'video';
+    }
+    return 'raw';
+  }
+
+  /**
+   * Check if the entry is stored on Cloudinary
+   * Without API credentials (source-only usage) this falls back to a HEAD
+   * request on the stored URL; only an explicit 404 counts as missing, other
+   * errors (network, 5xx) are thrown so the file is reported as failed.
+   */
+  async exists(entry) {
+    if (!this.hasCredentials()) {
+      try {
+        await axios.head(entry.url, { timeout: 10000 });
+      } catch (error) {
+        if (error.response?.status === 404) {
+          return false;
+        }
+        throw new Error(`Cloudinary HEAD request failed: ${error.message}`);
+      }
+      return true;
+    }
+
+    try {
+      await this.getClient().api.resource(this.getKey(entry), {
+        resource_type: this.getResourceType(entry),
+      });
+      return true;
+    } catch (error) {
+      if (error.error?.http_code === 404) {
+        return false;
+      }
+      throw new Error(`Cloudinary lookup failed: ${error.error?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Download entry contents from its stored URL
+   * @returns {Promise<Buffer>}
+   */
+  async download(entry) {
+    const response = await axios.get(entry.url, {
+      responseType: 'arraybuffer',
+      timeout: 60000, // 60 seconds
+      maxContentLength: 100 * 1024 * 1024, // 100MB max
+    });
+
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Upload entry contents
+   * @returns {Promise<{url: string, providerMetadata: Object}>}
+   */
+  async upload(entry, buffer) {
+    const client = this.getClient();
+
+    const result = await new Promise((resolve, reject) => {
+      const stream = client.uploader.upload_stream(
+        {
+          public_id: this.getKey(entry),
+          resource_type: 'auto',
+          overwrite: true,
+        },
+        (error, response) => (error ? reject(error) : resolve(response))
+      );
+      stream.end(buffer);
+    }).catch((error) => {
+      throw new Error(`Failed to upload to Cloudinary: ${error.message}`);
+    });
+
+    return {
+      url: result.secure_url,
+      providerMetadata: {
+        public_id: result.public_id,
+        resource_type: result.resource_type,
+      },
+    };
+  }
+
+  /**
+   * Location of an entry already stored on Cloudinary
+   */
+  locate(entry) {
+    const resourceType = this.getResourceType(entry);
+    const url = this.getClient().url(this.getKey(entry), {
+      secure: true,
+      resource_type: resourceType,
+      format: resourceType === 'raw' ? undefined : (entry.ext || '').replace(/^\./, ''),
+    });
+
+    return {
+      url,
+      providerMetadata: {
+        public_id: this.getKey(entry),
+        resource_type: resourceType,
+      },
+    };
+  }
+
+  /**
+   * Describe the storage location for logs
+   */
+  describe() {
+    return `cloud "${this.config.cloudName || 'unknown'}"`;
+  }
+
+  /**
+   * Create provider from environment variables
+   */
+  static fromEnv(env) {
+    return new CloudinaryProvider({
+      cloudName: env.CLOUDINARY_NAME,
+      apiKey: env.CLOUDINARY_KEY,
+      apiSecret: env.CLOUDINARY_SECRET,
+    });
+  }
+}
+
+module.exports = CloudinaryProvider;
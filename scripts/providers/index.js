@@ -0,0 +1,63 @@
+/**
+ * Storage providers - Source/target adapters for media migrations
+ *
+ * Every provider exposes the same interface for a file row or format entry
+ * (`{ hash, ext, mime, url }`):
+ *   - name                    Value stored in `files.provider`
+ *   - getKey(entry)           Storage key of the entry
+ *   - exists(entry)           Whether the entry is stored by the provider
+ *   - download(entry)         Entry contents as a Buffer
+ *   - upload(entry, buffer)   Store contents, resolves `{ url, providerMetadata }`
+ *   - locate(entry)           `{ url, providerMetadata }` of an already stored entry
+ *   - describe()              Human readable storage location
+ */
+
+const CloudinaryProvider = require('./cloudinary-provider');
+const S3Provider = require('./s3-provider');
+const LocalProvider = require('./local-provider');
+
+const PROVIDERS = {
+  cloudinary: CloudinaryProvider,
+  'aws-s3': S3Provider,
+  local: LocalProvider,
+};
+
+/**
+ * Overlay prefixed variables on top of the environment
+ * e.g. with prefix `MIGRATE_TO_`, `MIGRATE_TO_AWS_BUCKET` overrides `AWS_BUCKET`
+ */
+function scopeEnv(env, prefix) {
+  if (!prefix) {
+    return env;
+  }
+
+  const scoped = { ...env };
+  Object.entries(env).forEach(([key, value]) => {
+    if (key.startsWith(prefix)) {
+      scoped[key.slice(prefix.length)] = value;
+    }
+  });
+  return scoped;
+}
+
+/**
+ * Create a provider by name
+ * @param {string} name - Provider name (cloudinary, aws-s3, local)
+ * @param {Object} env - Environment variables
+ * @param {string} [prefix] - Optional variable prefix overriding the defaults
+ */
+function createProvider(name, env, prefix) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(
+      `Unsupported provider: ${name} (supported: ${Object.keys(PROVIDERS).join(', ')})`
+    );
+  }
+  return Provider.fromEnv(scopeEnv(env, prefix));
+}
+
+module.exports = {
+  PROVIDERS,
+  createProvider,
+  scopeEnv,
+};
@@ -0,0 +1,81 @@
+/**
+ * Local Provider - Storage adapter for the `public/uploads` folder,
+ * matching Strapi's default `local` upload provider
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_UPLOADS_DIR = path.resolve(__dirname, '../../public/uploads');
+
+class LocalProvider {
+  constructor(config = {}) {
+    this.name = 'local';
+    this.uploadsDir = config.uploadsDir || DEFAULT_UPLOADS_DIR;
+  }
+
+  /**
+   * File name of a file or format entry inside the uploads folder
+   */
+  getKey(entry) {
+    return `${entry.hash}${entry.ext}`;
+  }
+
+  /**
+   * Absolute path of an entry on disk
+   */
+  getPath(entry) {
+    return path.join(this.uploadsDir, this.getKey(entry));
+  }
+
+  /**
+   * Check if the entry is stored in the uploads folder
+   */
+  async exists(entry) {
+    return fs.existsSync(this.getPath(entry));
+  }
+
+  /**
+   * Download entry contents
+   * @returns {Promise<Buffer>}
+   */
+  async download(entry) {
+    return fs.promises.readFile(this.getPath(entry));
+  }
+
+  /**
+   * Upload entry contents
+   * @returns {Promise<{url: string, providerMetadata: null}>}
+   */
+  async upload(entry, buffer) {
+    await fs.promises.mkdir(this.uploadsDir, { recursive: true });
+    await fs.promises.writeFile(this.getPath(entry), buffer);
+    return this.locate(entry);
+  }
+
+  /**
+   * Location of an entry already stored in the uploads folder
+   * Strapi serves local uploads from the relative `/uploads` path
+   */
+  locate(entry) {
+    return { url: `/uploads/${this.getKey(entry)}`, providerMetadata: null };
+  }
+
+  /**
+   * Describe the storage location for logs
+   */
+  describe() {
+    return `folder "${this.uploadsDir}"`;
+  }
+
+  /**
+   * Create provider from environment variables
+   */
+  static fromEnv(env) {
+    return new LocalProvider({
+      uploadsDir: env.UPLOADS_DIR ? path.resolve(process.cwd(), env.UPLOADS_DIR) : undefined,
+    });
+  }
+}
+
+module.exports = LocalProvider;
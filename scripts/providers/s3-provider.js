@@ -0,0 +1,75 @@
+/**
+ * S3 Provider - Storage adapter for any S3-compatible store
+ * (Cloudflare R2, AWS S3, MinIO, ...), matching Strapi's `aws-s3` upload provider
+ */
+
+const R2Uploader = require('../../src/utils/r2-uploader');
+
+class S3Provider {
+  constructor(uploader) {
+    this.name = 'aws-s3';
+    this.uploader = uploader;
+  }
+
+  /**
+   * Object key of a file or format entry
+   */
+  getKey(entry) {
+    return `${entry.hash}${entry.ext}`;
+  }
+
+  /**
+   * Check if the entry is stored in the bucket
+   */
+  async exists(entry) {
+    return await this.uploader.fileExists(this.getKey(entry));
+  }
+
+  /**
+   * Download entry contents
+   * @returns {Promise<Buffer>}
+   */
+  async download(entry) {
+    return await this.uploader.download(this.getKey(entry));
+  }
+
+  /**
+   * Upload entry contents
+   * @returns {Promise<{url: string, providerMetadata: null}>}
+   */
+  async upload(entry, buffer) {
+    const url = await this.uploader.upload({
+      buffer,
+      key: this.getKey(entry),
+      contentType: entry.mime,
+    });
+    return { url, providerMetadata: null };
+  }
+
+  /**
+   * Location of an entry already stored in the bucket
+   */
+  locate(entry) {
+    return { url: this.uploader.getPublicUrl(this.getKey(entry)), providerMetadata: null };
+  }
+
+  /**
+   * Describe the storage location for logs
+   */
+  describe() {
+    const { bucket, endpoint } = this.uploader;
+    return endpoint ? `bucket "${bucket}" at ${endpoint}` : `bucket "${bucket}"`;
+  }
+
+  /**
+   * Create provider from environment variables
+   */
+  static fromEnv(env) {
+    if (!env.AWS_BUCKET) {
+      throw new Error('AWS_BUCKET is required for the aws-s3 provider');
+    }
+    return new S3Provider(R2Uploader.fromEnv(env));
+  }
+}
+
+module.exports = S3Provider;
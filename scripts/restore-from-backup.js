@@ -14,8 +14,8 @@ require('dotenv').config();
 const path = require('path');
 const fs = require('fs');
 const readline = require('readline');
-const DBHelper = require('./utils/db-helper');
-const BackupHelper = require('./utils/backup-helper');
+const DBHelper = require('../src/utils/db-helper');
+const BackupHelper = require('../src/utils/backup-helper');
 const logger = require('./utils/logger');
 
 const BACKUP_DIR = path.resolve(__dirname, '../backups');
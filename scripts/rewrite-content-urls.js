@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+
+/**
+ * Rewrite Embedded Media URLs
+ * Replaces old media URLs pasted into content (rich-text blocks, HTML tables,
+ * code snippets, category descriptions, ...) with their migrated URLs, using
+ * the mapping recorded in a migration state file
+ *
+ * Usage:
+ *   node scripts/rewrite-content-urls.js --dry-run
+ *   node scripts/rewrite-content-urls.js
+ *   node scripts/rewrite-content-urls.js --state=migration-state-local-to-aws-s3.json
+ *   node scripts/rewrite-content-urls.js --env=production
+ */
+
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs');
+const DBHelper = require('../src/utils/db-helper');
+const BackupHelper = require('../src/utils/backup-helper');
+const SchemaHelper = require('../src/utils/schema-helper');
+const StateHelper = require('./utils/state-helper');
+const logger = require('./utils/logger');
+
+const BACKUP_DIR = path.resolve(__dirname, '../backups');
+
+/**
+ * Replace every mapped URL inside a string
+ * @returns {{value: string, replacements: Object<string, {to: string, count: number}>}}
+ */
+function replaceInString(value, replacers) {
+  const replacements = {};
+  let result = value;
+
+  for (const { from, to, pattern } of replacers) {
+    const count = (result.match(pattern) || []).length;
+    if (count > 0) {
+      result = result.replace(pattern, to);
+      replacements[from] = { to, count: (replacements[from]?.count || 0) + count };
+    }
+  }
+
+  return { value: result, replacements };
+}
+
+/**
+ * Replace mapped URLs in every string of a JSON structure (blocks)
+ */
+function replaceInJSON(node, replacers, replacements) {
+  if (typeof node === 'string') {
+    const result = replaceInString(node, replacers);
+    Object.entries(result.replacements).forEach(([from, { to, count }]) => {
+      replacements[from] = { to, count: (replacements[from]?.count || 0) + count };
+    });
+    return result.value;
+  }
+  if (Array.isArray(node)) {
+    return node.map((child) => replaceInJSON(child, replacers, replacements));
+  }
+  if (node && typeof node === 'object') {
+    return Object.fromEntries(
+      Object.entries(node).map(([key, child]) => [key, replaceInJSON(child, replacers, replacements)])
+    );
+  }
+  return node;
+}
+
+/**
+ * Rewrite a single column value
+ * @returns {{value: *, replacements: Object}|null} - null when nothing changed
+ */
+function rewriteValue(rawValue, type, replacers) {
+  if (rawValue === null || rawValue === undefined) {
+    return null;
+  }
+
+  if (type === 'blocks') {
+    const replacements = {};
+    const value = replaceInJSON(DBHelper.parseJSON(rawValue), replacers, replacements);
+    return Object.keys(replacements).length > 0
+      ? { value: JSON.stringify(value), replacements }
+      : null;
+  }
+
+  const result = replaceInString(String(rawValue), replacers);
+  return Object.keys(result.replacements).length > 0 ? result : null;
+}
+
+async function main() {
+  try {
+    logger.section('Rewrite Embedded Media URLs');
+
+    // Parse arguments
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const isProduction = args.includes('--env=production');
+    const stateArg = args.find((arg) => arg.startsWith('--state='));
+    const stateFile = StateHelper.resolveStateFile(stateArg ? stateArg.split('=')[1] : null);
+
+    if (dryRun) {
+      logger.warn('DRY RUN MODE - No actual changes will be made');
+    }
+
+    logger.info(`Environment: ${isProduction ? 'Production' : 'Local'}`);
+
+    // Build URL mapping
+    const state = StateHelper.load(stateFile);
+    const mapping = StateHelper.getUrlMapping(state);
+    logger.info(`State file: ${path.basename(stateFile)}`);
+    logger.info(`URL mappings: ${mapping.size}`);
+
+    if (mapping.size === 0) {
+      logger.success('No migrated URLs to rewrite');
+      return;
+    }
+
+    // Longest URLs first so a URL never shadows a longer one it prefixes
+    const replacers = Array.from(mapping.entries())
+      .sort(([a], [b]) => b.length - a.length)
+      .map(([from, to]) => ({
+        from,
+        to,
+        pattern: new RegExp(from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'),
+      }));
+
+    // Initialize database
+    logger.info('Connecting to database...');
+    const db = await DBHelper.init(process.env);
+    logger.success(`Connected to ${db.client} database`);
+
+    // Scan columns
+    logger.section('Scanning Content');
+    const columns = SchemaHelper.getTextColumns();
+    const changes = [];
+
+    for (const { table, column, type, source } of columns) {
+      if (!(await db.tableExists(table))) {
+        logger.debug(`Skipping ${table} (table not found)`);
+        continue;
+      }
+
+      const rows = await db.all(
+        `SELECT id, "${column}" AS value FROM "${table}" WHERE "${column}" IS NOT NULL ORDER BY id`
+      );
+
+      let tableChanges = 0;
+      rows.forEach((row) => {
+        const result = rewriteValue(row.value, type, replacers);
+        if (result) {
+          tableChanges++;
+          changes.push({
+            table,
+            column,
+            source,
+            id: row.id,
+            original_value: type === 'blocks' ? DBHelper.parseJSON(row.value) : row.value,
+            new_value: result.value,
+            replacements: result.replacements,
+          });
+        }
+      });
+
+      logger.info(`${table}.${column}: ${rows.length} rows scanned, ${tableChanges} to rewrite`);
+    }
+
+    // Diff report
+    logger.section('Diff Report');
+    changes.forEach((change) => {
+      logger.info(`${change.table}.${change.column} #${change.id} (${change.source})`);
+      Object.entries(change.replacements).forEach(([from, { to, count }]) => {
+        logger.debug(`- ${from}${count > 1 ? ` (x${count})` : ''}`);
+        logger.debug(`+ ${to}`);
+      });
+    });
+
+    if (!fs.existsSync(BACKUP_DIR)) {
+      fs.mkdirSync(BACKUP_DIR, { recursive: true });
+    }
+
+    const timestamp = BackupHelper.getTimestamp();
+    const reportPath = path.join(BACKUP_DIR, `url-rewrite-report-${timestamp}.json`);
+    fs.writeFileSync(
+      reportPath,
+      JSON.stringify(
+        {
+          generated_at: new Date().toISOString(),
+          dry_run: dryRun,
+          state_file: path.basename(stateFile),
+          total_rows: changes.length,
+          changes: changes.map(({ table, column, source, id, replacements }) => ({
+            table,
+            column,
+            source,
+            id,
+            replacements,
+          })),
+        },
+        null,
+        2
+      )
+    );
+    logger.success(`Diff report: ${path.basename(reportPath)}`);
+
+    if (changes.length === 0 || dryRun) {
+      await db.close();
+      logger.complete(`${changes.length} rows ${dryRun ? 'would be' : 'were'} rewritten`);
+      return;
+    }
+
+    // Backup every row before changing it
+    const backupPath = path.join(BACKUP_DIR, `url-rewrite-rows-${timestamp}.json`);
+    fs.writeFileSync(
+      backupPath,
+      JSON.stringify(
+        {
+          backup_metadata: {
+            backup_date: new Date().toISOString(),
+            database_type: db.client,
+            state_file: path.basename(stateFile),
+            total_rows: changes.length,
+          },
+          rows: changes.map(({ table, column, id, original_value }) => ({
+            table,
+            column,
+            id,
+            value: original_value,
+          })),
+        },
+        null,
+        2
+      )
+    );
+    logger.success(`Row backup: ${path.basename(backupPath)}`);
+
+    // Apply changes in a single transaction
+    logger.section('Applying Changes');
+    await db.beginTransaction();
+    try {
+      for (const change of changes) {
+        await db.run(`UPDATE "${change.table}" SET "${change.column}" = ? WHERE id = ?`, [
+          change.new_value,
+          change.id,
+        ]);
+      }
+      await db.commit();
+    } catch (error) {
+      await db.rollback();
+      throw error;
+    }
+
+    await db.close();
+
+    logger.section('Rewrite Summary');
+    logger.stats({
+      'URL Mappings': mapping.size,
+      'Rows Rewritten': changes.length,
+      'Report': path.basename(reportPath),
+      'Backup': path.basename(backupPath),
+    });
+
+    logger.complete('URL rewrite completed');
+  } catch (error) {
+    logger.error(`URL rewrite failed: ${error.message}`);
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = main;
@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+
+/**
+ * Rollback Migration
+ * Restores individual `files` rows listed in the migration state to their
+ * original URL, provider, provider_metadata and formats, as recorded in the
+ * JSON export of backup-before-migration.js. No other table is touched.
+ * `--backup=` is resolved against ./backups/ and defaults to the most recent
+ * JSON export.
+ *
+ * Usage:
+ *   node scripts/rollback-migration.js --ids=1,2,3
+ *   node scripts/rollback-migration.js --status=success
+ *   node scripts/rollback-migration.js --all --dry-run
+ *   node scripts/rollback-migration.js --all --backup=cloudinary-backup-2025-12-23-13-07-34-191Z.json
+ *   node scripts/rollback-migration.js --ids=1 --force --yes --env=production
+ */
+
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs');
+const readline = require('readline');
+const DBHelper = require('../src/utils/db-helper');
+const BackupHelper = require('../src/utils/backup-helper');
+const StateHelper = require('./utils/state-helper');
+const logger = require('./utils/logger');
+
+const BACKUP_DIR = path.resolve(__dirname, '../backups');
+
+// State lists and the status recorded for their entries
+const STATE_LISTS = {
+  success: 'processed_files',
+  failed: 'failed_files',
+  skipped: 'skipped_files',
+};
+
+/**
+ * Prompt user for confirmation
+ */
+function prompt(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes');
+    });
+  });
+}
+
+/**
+ * Select state entries by ID and/or status
+ * @returns {Array<{entry: Object, status: string}>}
+ */
+function selectEntries(state, { ids, statuses }) {
+  return Object.entries(STATE_LISTS).flatMap(([status, list]) => {
+    if (statuses && !statuses.includes(status)) {
+      return [];
+    }
+    return (state[list] || [])
+      .filter((entry) => !ids || ids.includes(entry.id))
+      .map((entry) => ({ entry, status }));
+  });
+}
+
+/**
+ * Drop rolled back files from the state so a new migration run picks them up again
+ */
+function updateState(state, rolledBack) {
+  const rolledBackIds = new Set(rolledBack.map(({ id }) => id));
+
+  Object.entries(STATE_LISTS).forEach(([status, list]) => {
+    const before = state[list].length;
+    state[list] = state[list].filter((entry) => !rolledBackIds.has(entry.id));
+    state.statistics[status] -= before - state[list].length;
+  });
+
+  state.statistics.processed =
+    state.statistics.success + state.statistics.failed + state.statistics.skipped;
+  state.rolled_back_files = [...(state.rolled_back_files || []), ...rolledBack];
+  state.status = state.processed_files.length === 0 ? 'rolled_back' : 'rolled_back_partially';
+}
+
+async function main() {
+  try {
+    logger.section('Rollback Migration (per file)');
+
+    // Parse arguments
+    const args = process.argv.slice(2);
+    const getArg = (name) => {
+      const arg = args.find((a) => a.startsWith(`--${name}=`));
+      return arg ? arg.split('=')[1] : null;
+    };
+    const dryRun = args.includes('--dry-run');
+    const isProduction = args.includes('--env=production');
+    const force = args.includes('--force');
+    const skipPrompt = args.includes('--yes');
+    const all = args.includes('--all');
+    const ids = getArg('ids') ? getArg('ids').split(',').map((id) => Number(id.trim())) : null;
+    const statuses = getArg('status') ? getArg('status').split(',') : null;
+
+    if (!all && !ids && !statuses) {
+      logger.error('Select files to roll back with --ids=1,2, --status=success or --all');
+      process.exit(1);
+    }
+
+    const unknownStatus = (statuses || []).find((status) => !STATE_LISTS[status]);
+    if (unknownStatus) {
+      logger.error(`Unknown status: ${unknownStatus} (${Object.keys(STATE_LISTS).join(', ')})`);
+      process.exit(1);
+    }
+
+    if (dryRun) {
+      logger.warn('DRY RUN MODE - No actual changes will be made');
+    }
+
+    logger.info(`Environment: ${isProduction ? 'Production' : 'Local'}`);
+
+    // Load migration state and JSON export
+    const stateFile = StateHelper.resolveStateFile(getArg('state'));
+    const state = StateHelper.load(stateFile);
+    logger.info(`State file: ${path.basename(stateFile)}`);
+
+    const backupPath = BackupHelper.resolveJSONExport(getArg('backup'), BACKUP_DIR);
+
+    if (!backupPath) {
+      logger.error('No JSON backup found in ./backups/ (run backup-before-migration.js first)');
+      process.exit(1);
+    }
+
+    const backup = BackupHelper.loadJSONExport(backupPath);
+    logger.info(`JSON backup: ${path.basename(backupPath)} (${backup.files.size} files)`);
+
+    const selected = selectEntries(state, { ids, statuses });
+    logger.info(`Selected files: ${selected.length}`);
+
+    if (selected.length === 0) {
+      logger.success('No files to roll back');
+      return;
+    }
+
+    // Initialize database
+    logger.info('Connecting to database...');
+    const db = await DBHelper.init(process.env);
+    logger.success(`Connected to ${db.client} database`);
+
+    // Plan rollback
+    logger.section('Rollback Plan');
+    const plan = [];
+
+    for (const { entry, status } of selected) {
+      const original = backup.files.get(entry.id);
+      const current = await db.getFileById(entry.id);
+
+      if (!original) {
+        logger.warn(`File ${entry.id}: not in JSON backup, skipping`);
+        continue;
+      }
+      if (!current) {
+        logger.warn(`File ${entry.id}: no longer in database, skipping`);
+        continue;
+      }
+      if (current.url === original.url && current.provider === original.provider) {
+        logger.debug(`File ${entry.id}: already at original location, skipping`);
+        continue;
+      }
+      // Protect rows replaced or edited since the migration
+      if (status === 'success' && current.url !== entry.new_url && !force) {
+        logger.warn(
+          `File ${entry.id}: URL changed since migration (${current.url}), skipping (use --force)`
+        );
+        continue;
+      }
+
+      logger.info(`File ${entry.id} (${original.name}) [${status}]`);
+      logger.debug(`- ${current.provider}: ${current.url}`);
+      logger.debug(`+ ${original.provider}: ${original.url}`);
+
+      plan.push({ entry, status, original, current });
+    }
+
+    if (plan.length === 0 || dryRun) {
+      await db.close();
+      logger.complete(`${plan.length} files ${dryRun ? 'would be' : 'were'} rolled back`);
+      return;
+    }
+
+    if (!skipPrompt) {
+      const confirmed = await prompt(`\nRoll back ${plan.length} files? (y/N): `);
+      if (!confirmed) {
+        await db.close();
+        logger.info('Rollback cancelled');
+        process.exit(0);
+      }
+    }
+
+    // Keep the current rows so the rollback itself can be undone
+    if (!fs.existsSync(BACKUP_DIR)) {
+      fs.mkdirSync(BACKUP_DIR, { recursive: true });
+    }
+    const rowsPath = path.join(BACKUP_DIR, `rollback-rows-${BackupHelper.getTimestamp()}.json`);
+    fs.writeFileSync(
+      rowsPath,
+      JSON.stringify(
+        {
+          backup_metadata: {
+            backup_date: new Date().toISOString(),
+            database_type: db.client,
+            state_file: path.basename(stateFile),
+            total_files: plan.length,
+          },
+          files: plan.map(({ current }) => ({
+            ...current,
+            formats: DBHelper.parseJSON(current.formats),
+            provider_metadata: DBHelper.parseJSON(current.provider_metadata),
+          })),
+        },
+        null,
+        2
+      )
+    );
+    logger.success(`Current rows saved to: ${path.basename(rowsPath)}`);
+
+    // Apply rollback in a single transaction
+    logger.section('Rolling Back');
+    await db.beginTransaction();
+    try {
+      for (const { original } of plan) {
+        await db.updateFileProvider(original.id, {
+          url: original.url,
+          provider: original.provider,
+          providerMetadata: original.provider_metadata,
+          formats: original.formats,
+        });
+      }
+      await db.commit();
+    } catch (error) {
+      await db.rollback();
+      throw error;
+    }
+
+    await db.close();
+
+    // Update migration state
+    updateState(
+      state,
+      plan.map(({ entry, status, original, current }) => ({
+        id: entry.id,
+        previous_status: status,
+        rolled_back_from: current.url,
+        restored_url: original.url,
+        timestamp: new Date().toISOString(),
+      }))
+    );
+    fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+
+    logger.section('Rollback Summary');
+    logger.stats({
+      'Rolled Back': plan.length,
+      'Skipped': selected.length - plan.length,
+      'Saved Rows': path.basename(rowsPath),
+    });
+
+    logger.complete('Rollback completed successfully');
+
+    logger.info('\nNext steps:');
+    logger.info('1. Verify rolled back files in Strapi Media Library');
+    logger.info('2. Re-run the migration to migrate these files again if needed');
+  } catch (error) {
+    logger.error(`Rollback failed: ${error.message}`);
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = main;
@@ -0,0 +1,393 @@
+/**
+ * Content Bundle Helper - Serializes posts together with their relations,
+ * components and media into a portable bundle and recreates them in another
+ * Strapi instance through the document service
+ *
+ * Bundle layout:
+ *   <dir>/content.json   Entries (related entries first) and media metadata
+ *   <dir>/media/         Original media files, named `<hash><ext>`
+ *
+ * Inside the bundle, media are referenced by their source hash and relations
+ * by the match field of the target entry (its uid attribute, e.g. `slug`, or
+ * its first string attribute), so nothing depends on database IDs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SchemaHelper = require('../../src/utils/schema-helper');
+const { createProvider } = require('../providers');
+
+const BUNDLE_VERSION = 1;
+const BUNDLE_FILE = 'content.json';
+const MEDIA_DIR = 'media';
+const POST_UID = 'api::post.post';
+const FILE_UID = 'plugin::upload.file';
+
+class ContentBundleHelper {
+  /**
+   * Content-type schema by UID
+   */
+  static getSchema(uid) {
+    if (!this.schemas) {
+      this.schemas = new Map(
+        SchemaHelper.getContentTypes().map(({ uid: typeUid, schema }) => [typeUid, schema])
+      );
+    }
+
+    const schema = this.schemas.get(uid);
+    if (!schema) {
+      throw new Error(`Content type not found: ${uid}`);
+    }
+    return schema;
+  }
+
+  /**
+   * Attribute used to match entries between instances
+   */
+  static getMatchField(schema) {
+    const uidField = Object.entries(schema.attributes).find(
+      ([, attribute]) => attribute.type === 'uid'
+    );
+    return uidField ? uidField[0] : SchemaHelper.getDisplayField(schema);
+  }
+
+  /**
+   * Populate query loading media, relations and (nested) components of a schema
+   */
+  static buildPopulate(schema) {
+    const populate = {};
+    const componentPopulate = (uid) => {
+      const nested = this.buildPopulate(SchemaHelper.getComponent(uid));
+      return Object.keys(nested).length > 0 ? { populate: nested } : true;
+    };
+
+    Object.entries(schema.attributes).forEach(([name, attribute]) => {
+      if (['media', 'relation'].includes(attribute.type)) {
+        populate[name] = true;
+      } else if (attribute.type === 'component') {
+        populate[name] = componentPopulate(attribute.component);
+      } else if (attribute.type === 'dynamiczone') {
+        populate[name] = {
+          on: Object.fromEntries(attribute.components.map((uid) => [uid, componentPopulate(uid)])),
+        };
+      }
+    });
+
+    return populate;
+  }
+
+  /**
+   * Map every attribute value of a document, component or bundle entry
+   * @param {Object} data - Source values
+   * @param {Object} schema - Content-type or component schema
+   * @param {Object} handlers - `media(file)` and `relation(target, value)`, may be async
+   */
+  static async mapAttributes(data, schema, handlers) {
+    const result = {};
+    const mapMany = (value, fn) =>
+      Array.isArray(value) ? Promise.all(value.map(fn)) : value ? fn(value) : null;
+
+    for (const [name, attribute] of Object.entries(schema.attributes)) {
+      const value = data[name];
+      if (value === undefined) {
+        continue;
+      }
+
+      switch (attribute.type) {
+        case 'media':
+          result[name] = await mapMany(value, handlers.media);
+          break;
+        case 'relation':
+          result[name] = await mapMany(value, (related) =>
+            handlers.relation(attribute.target, related)
+          );
+          break;
+        case 'component':
+          result[name] = await mapMany(value, (component) =>
+            this.mapAttributes(component, SchemaHelper.getComponent(attribute.component), handlers)
+          );
+          break;
+        case 'dynamiczone':
+          result[name] = await Promise.all(
+            (value || []).map(async (component) => ({
+              __component: component.__component,
+              ...(await this.mapAttributes(
+                component,
+                SchemaHelper.getComponent(component.__component),
+                handlers
+              )),
+            }))
+          );
+          break;
+        default:
+          result[name] = value;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Export posts matching the filters, the entries they relate to and their media
+   * @param {Object} strapi - Loaded Strapi instance
+   * @param {Object} options
+   * @param {Object} options.filters - Document service filters for posts
+   * @param {string} options.dir - Bundle directory to create
+   * @param {Object} [options.env] - Environment used to configure media providers
+   * @returns {Promise<{path: string, entries: Object, media: number, errors: Array}>}
+   */
+  static async exportBundle(strapi, { filters, dir, env = process.env }) {
+    const media = new Map();
+    const entries = [];
+    const errors = [];
+    const seen = new Set();
+
+    const posts = await strapi.documents(POST_UID).findMany({ filters, status: 'draft' });
+    const queue = posts.map((post) => ({ uid: POST_UID, documentId: post.documentId }));
+
+    const handlers = {
+      media: (file) => {
+        media.set(file.hash, file);
+        return file.hash;
+      },
+      relation: (target, related) => {
+        queue.push({ uid: target, documentId: related.documentId });
+        const field = this.getMatchField(this.getSchema(target));
+        return { [field]: related[field] };
+      },
+    };
+
+    while (queue.length > 0) {
+      const { uid, documentId } = queue.shift();
+      if (seen.has(`${uid}:${documentId}`)) {
+        continue;
+      }
+      seen.add(`${uid}:${documentId}`);
+
+      // Export the published version when there is one, the draft otherwise
+      const schema = this.getSchema(uid);
+      const documents = strapi.documents(uid);
+      const populate = this.buildPopulate(schema);
+      const published = schema.options?.draftAndPublish
+        ? await documents.findOne({ documentId, status: 'published', populate })
+        : null;
+      const document =
+        published || (await documents.findOne({ documentId, status: 'draft', populate }));
+      const field = this.getMatchField(schema);
+
+      entries.push({
+        uid,
+        match: { [field]: document[field] },
+        published: Boolean(published),
+        data: await this.mapAttributes(document, schema, handlers),
+      });
+    }
+
+    // Copy media files into the bundle
+    fs.mkdirSync(path.join(dir, MEDIA_DIR), { recursive: true });
+
+    const mediaEntries = [];
+    for (const file of media.values()) {
+      const fileName = path.join(MEDIA_DIR, `${file.hash}${file.ext}`);
+      try {
+        const buffer = await createProvider(file.provider, env).download(file);
+        fs.writeFileSync(path.join(dir, fileName), buffer);
+      } catch (error) {
+        errors.push({ hash: file.hash, name: file.name, error: error.message });
+        continue;
+      }
+
+      mediaEntries.push({
+        hash: file.hash,
+        name: file.name,
+        alternativeText: file.alternativeText,
+        caption: file.caption,
+        mime: file.mime,
+        ext: file.ext,
+        size: file.size,
+        file: fileName,
+      });
+    }
+
+    const bundle = {
+      version: BUNDLE_VERSION,
+      created_at: new Date().toISOString(),
+      entries: await this.sortEntries(entries),
+      media: mediaEntries,
+    };
+
+    const bundlePath = path.join(dir, BUNDLE_FILE);
+    fs.writeFileSync(bundlePath, JSON.stringify(bundle, null, 2));
+
+    return {
+      path: bundlePath,
+      entries: this.countByType(bundle.entries),
+      media: mediaEntries.length,
+      errors,
+    };
+  }
+
+  /**
+   * Order bundle entries so that every entry comes after the entries it
+   * relates to, which must exist before its relations can be resolved
+   * Relation cycles can't be ordered; their entries keep the export order.
+   */
+  static async sortEntries(entries) {
+    const keyOf = (uid, match) => `${uid}:${JSON.stringify(match)}`;
+    const byKey = new Map(entries.map((entry) => [keyOf(entry.uid, entry.match), entry]));
+    const dependencies = new Map();
+
+    for (const entry of entries) {
+      const keys = [];
+      await this.mapAttributes(entry.data, this.getSchema(entry.uid), {
+        media: (hash) => hash,
+        relation: (target, match) => keys.push(keyOf(target, match)),
+      });
+      dependencies.set(entry, keys.filter((key) => byKey.has(key)));
+    }
+
+    const sorted = [];
+    const visited = new Set();
+    const visit = (entry) => {
+      if (visited.has(entry)) {
+        return;
+      }
+      visited.add(entry);
+      dependencies.get(entry).forEach((key) => visit(byKey.get(key)));
+      sorted.push(entry);
+    };
+    entries.forEach(visit);
+
+    return sorted;
+  }
+
+  /**
+   * Load a bundle directory (or its content.json)
+   */
+  static loadBundle(bundlePath) {
+    const dir = fs.statSync(bundlePath).isDirectory() ? bundlePath : path.dirname(bundlePath);
+    const bundle = JSON.parse(fs.readFileSync(path.join(dir, BUNDLE_FILE), 'utf8'));
+
+    if (bundle.version !== BUNDLE_VERSION) {
+      throw new Error(`Unsupported bundle version: ${bundle.version}`);
+    }
+
+    return { dir, ...bundle };
+  }
+
+  /**
+   * Find a media file already present in the target instance
+   * Matches the source hash first (shared bucket), then name and size
+   * (file imported by a previous run)
+   */
+  static async findExistingMedia(strapi, media) {
+    const files = strapi.db.query(FILE_UID);
+    return (
+      (await files.findOne({ where: { hash: media.hash } })) ||
+      (await files.findOne({ where: { name: media.name, size: media.size } }))
+    );
+  }
+
+  /**
+   * Import a bundle, creating missing entries and updating the ones whose
+   * match field (e.g. `slug`) already exists
+   * @param {Object} strapi - Loaded Strapi instance
+   * @param {string} bundlePath - Bundle directory
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only report what would change
+   * @returns {Promise<{entries: Array, media: Array, errors: Array}>}
+   */
+  static async importBundle(strapi, bundlePath, { dryRun = false } = {}) {
+    const bundle = this.loadBundle(bundlePath);
+    const mediaIds = new Map();
+    const result = { entries: [], media: [], errors: [] };
+
+    // Media first, so entries can reference the new file IDs
+    for (const media of bundle.media) {
+      const existing = await this.findExistingMedia(strapi, media);
+      if (existing) {
+        mediaIds.set(media.hash, existing.id);
+        result.media.push({ hash: media.hash, name: media.name, action: 'reuse', id: existing.id });
+        continue;
+      }
+
+      if (dryRun) {
+        result.media.push({ hash: media.hash, name: media.name, action: 'upload' });
+        continue;
+      }
+
+      try {
+        const filepath = path.join(bundle.dir, media.file);
+        const [uploaded] = await strapi.plugin('upload').service('upload').upload({
+          data: {
+            fileInfo: {
+              name: media.name,
+              alternativeText: media.alternativeText,
+              caption: media.caption,
+            },
+          },
+          files: {
+            filepath,
+            originalFilename: media.name,
+            mimetype: media.mime,
+            size: fs.statSync(filepath).size,
+          },
+        });
+        mediaIds.set(media.hash, uploaded.id);
+        result.media.push({ hash: media.hash, name: media.name, action: 'upload', id: uploaded.id });
+      } catch (error) {
+        result.errors.push({ media: media.name, error: error.message });
+      }
+    }
+
+    const handlers = {
+      media: (hash) => mediaIds.get(hash) ?? null,
+      relation: async (target, match) => {
+        const related = await strapi.documents(target).findFirst({ filters: match, status: 'draft' });
+        if (!related) {
+          result.errors.push({ relation: target, match, error: 'Related entry not found' });
+          return null;
+        }
+        return related.documentId;
+      },
+    };
+
+    // Bundles from older exports may list entries before the ones they relate to
+    for (const entry of await this.sortEntries(bundle.entries)) {
+      const documents = strapi.documents(entry.uid);
+      const existing = await documents.findFirst({ filters: entry.match, status: 'draft' });
+      const action = existing ? 'update' : 'create';
+
+      try {
+        if (!dryRun) {
+          const data = await this.mapAttributes(entry.data, this.getSchema(entry.uid), handlers);
+          const document = existing
+            ? await documents.update({ documentId: existing.documentId, data })
+            : await documents.create({ data });
+
+          if (entry.published) {
+            await documents.publish({ documentId: document.documentId });
+          }
+        }
+
+        result.entries.push({ uid: entry.uid, match: entry.match, action, published: entry.published });
+      } catch (error) {
+        result.errors.push({ uid: entry.uid, match: entry.match, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Number of entries per content type
+   */
+  static countByType(entries) {
+    return entries.reduce((counts, entry) => {
+      counts[entry.uid] = (counts[entry.uid] || 0) + 1;
+      return counts;
+    }, {});
+  }
+}
+
+module.exports = ContentBundleHelper;
@@ -0,0 +1,63 @@
+/**
+ * State Helper - Read access to migration state files (migration-state*.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCRIPTS_DIR = path.resolve(__dirname, '..');
+const DEFAULT_STATE_FILE = path.join(SCRIPTS_DIR, 'migration-state.json');
+
+class StateHelper {
+  /**
+   * Resolve a state file path from a `--state=` argument
+   * Bare file names are looked up next to the migration scripts
+   */
+  static resolveStateFile(stateArg) {
+    if (!stateArg) {
+      return DEFAULT_STATE_FILE;
+    }
+    if (path.isAbsolute(stateArg) || stateArg.includes('/')) {
+      return path.resolve(process.cwd(), stateArg);
+    }
+    return path.join(SCRIPTS_DIR, stateArg);
+  }
+
+  /**
+   * Load a migration state file
+   */
+  static load(stateFile) {
+    if (!fs.existsSync(stateFile)) {
+      throw new Error(`Migration state file not found: ${stateFile}`);
+    }
+    return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  }
+
+  /**
+   * Build the old URL -> new URL mapping of successfully migrated files,
+   * including their format variants. Dry-run entries are ignored.
+   * @returns {Map<string, string>}
+   */
+  static getUrlMapping(state) {
+    const mapping = new Map();
+
+    const add = (from, to) => {
+      if (from && to && from !== to && !to.startsWith('[DRY-RUN]')) {
+        mapping.set(from, to);
+      }
+    };
+
+    state.processed_files
+      .filter((file) => file.status === 'success')
+      .forEach((file) => {
+        add(file.original_url, file.new_url);
+        Object.values(file.formats || {})
+          .filter((format) => format.status === 'success')
+          .forEach((format) => add(format.original_url, format.new_url));
+      });
+
+    return mapping;
+  }
+}
+
+module.exports = StateHelper;
@@ -0,0 +1,24 @@
+/**
+ * Strapi Helper - Boots the Strapi application from a script so content can
+ * be read and written through the document service instead of raw SQL
+ */
+
+class StrapiHelper {
+  /**
+   * Compile and load the Strapi app of the current project (no HTTP server)
+   * @returns {Promise<import('@strapi/strapi').Core.Strapi>}
+   */
+  static async load() {
+    const { compileStrapi, createStrapi } = require('@strapi/strapi');
+
+    const appContext = await compileStrapi();
+    const app = await createStrapi(appContext).load();
+
+    // Keep script output readable
+    app.log.level = 'error';
+
+    return app;
+  }
+}
+
+module.exports = StrapiHelper;
@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+
+/**
+ * Verify Migration
+ * Checks every migrated file (and its format variants) against the bucket:
+ * the object exists and its size and content type match the `files` row.
+ * Optionally compares checksums with the ones recorded in the JSON backup
+ * (`backup-before-migration.js --checksum`). `--backup=` is resolved against
+ * ./backups/ and defaults to the most recent JSON export.
+ * Exits with code 1 on any mismatch so it can gate a deploy.
+ *
+ * Usage:
+ *   node scripts/verify-migration.js
+ *   node scripts/verify-migration.js --checksum
+ *   node scripts/verify-migration.js --checksum --backup=cloudinary-backup-2025-12-23-13-07-34-191Z.json
+ *   node scripts/verify-migration.js --format=csv --output=verification.csv
+ *   node scripts/verify-migration.js --state=migration-state-local-to-aws-s3.json
+ *   node scripts/verify-migration.js --env=production
+ */
+
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs');
+const { default: pLimit } = require('p-limit');
+const DBHelper = require('../src/utils/db-helper');
+const R2Uploader = require('../src/utils/r2-uploader');
+const BackupHelper = require('../src/utils/backup-helper');
+const StateHelper = require('./utils/state-helper');
+const logger = require('./utils/logger');
+
+const BACKUP_DIR = path.resolve(__dirname, '../backups');
+const CONCURRENCY = 5; // Max concurrent bucket requests
+
+const CSV_COLUMNS = [
+  'file_id',
+  'file_name',
+  'variant',
+  'key',
+  'status',
+  'exists',
+  'expected_size',
+  'actual_size',
+  'expected_type',
+  'actual_type',
+  'checksum',
+  'errors',
+];
+
+/**
+ * Compare object size with the DB value
+ * Strapi stores `size` in KB (1000 bytes) rounded to 2 decimals, formats also
+ * carry `sizeInBytes`
+ */
+function sizeMatches(entry, actualBytes) {
+  if (entry.sizeInBytes !== undefined && entry.sizeInBytes !== null) {
+    return Number(entry.sizeInBytes) === actualBytes;
+  }
+  return Math.abs(Number(entry.size) - actualBytes / 1000) <= 0.01;
+}
+
+/**
+ * Verify a single object (original file or format variant)
+ */
+async function verifyObject({ file, variant, entry, recorded, uploader, checksum }) {
+  const key = `${entry.hash}${entry.ext}`;
+  const result = {
+    file_id: file.id,
+    file_name: file.name,
+    variant,
+    key,
+    status: 'ok',
+    exists: false,
+    expected_size: entry.sizeInBytes ?? entry.size,
+    actual_size: null,
+    expected_type: entry.mime,
+    actual_type: null,
+    checksum: checksum ? null : 'not_checked',
+    errors: [],
+  };
+
+  try {
+    const info = await uploader.getFileInfo(key);
+    if (!info) {
+      result.errors.push('Object not found in bucket');
+    } else {
+      result.exists = true;
+      result.actual_size = info.size;
+      result.actual_type = info.contentType;
+
+      if (!sizeMatches(entry, info.size)) {
+        result.errors.push(`Size mismatch (expected ${result.expected_size}, got ${info.size} bytes)`);
+      }
+      if (entry.mime && info.contentType !== entry.mime) {
+        result.errors.push(`Content type mismatch (expected ${entry.mime}, got ${info.contentType})`);
+      }
+
+      if (checksum && !recorded?.checksum) {
+        result.checksum = 'not_recorded';
+        result.errors.push('No checksum recorded in the backup');
+      } else if (checksum) {
+        const migrated = BackupHelper.sha256(await uploader.download(key));
+        result.checksum = migrated === recorded.checksum ? 'match' : 'mismatch';
+        if (result.checksum === 'mismatch') {
+          result.errors.push('Checksum mismatch with backup');
+        }
+      }
+    }
+  } catch (error) {
+    result.errors.push(error.message);
+  }
+
+  if (result.errors.length > 0) {
+    result.status = 'mismatch';
+  }
+
+  return result;
+}
+
+/**
+ * Verify a migrated file against its DB row
+ * @param {Object|null} backupFile - The file in the JSON backup, for checksums
+ * @returns {Promise<Array>} - One result per object (original + formats)
+ */
+async function verifyFile(processed, db, uploader, backupFile, checksum) {
+  const file = await db.getFileById(processed.id);
+
+  if (!file) {
+    return [
+      {
+        file_id: processed.id,
+        file_name: null,
+        variant: 'original',
+        key: null,
+        status: 'mismatch',
+        exists: false,
+        errors: ['File row not found in database'],
+      },
+    ];
+  }
+
+  const results = [];
+
+  const original = await verifyObject({
+    file,
+    variant: 'original',
+    entry: file,
+    recorded: backupFile,
+    uploader,
+    checksum,
+  });
+  if (file.provider !== 'aws-s3') {
+    original.errors.push(`Unexpected provider "${file.provider}"`);
+  }
+  if (file.url !== processed.new_url) {
+    original.errors.push(`URL differs from migration state (${file.url})`);
+  }
+  if (original.errors.length > 0) {
+    original.status = 'mismatch';
+  }
+  results.push(original);
+
+  const formats = DBHelper.parseJSON(file.formats) || {};
+  const formatResults = processed.formats || {};
+
+  for (const [name, format] of Object.entries(formats)) {
+    results.push(
+      await verifyObject({
+        file,
+        variant: name,
+        entry: { mime: file.mime, ...format },
+        recorded: backupFile?.formats?.[name],
+        uploader,
+        checksum,
+      })
+    );
+  }
+
+  // Formats recorded as migrated must still be present on the row
+  Object.entries(formatResults)
+    .filter(([name, format]) => format.status === 'success' && !formats[name])
+    .forEach(([name]) => {
+      results.push({
+        file_id: file.id,
+        file_name: file.name,
+        variant: name,
+        key: null,
+        status: 'mismatch',
+        exists: false,
+        errors: ['Format missing from files.formats'],
+      });
+    });
+
+  return results;
+}
+
+/**
+ * Serialize results to CSV
+ */
+function toCSV(results) {
+  const escape = (value) => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = Array.isArray(value) ? value.join('; ') : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = results.map((result) => CSV_COLUMNS.map((column) => escape(result[column])).join(','));
+  return `${CSV_COLUMNS.join(',')}\n${rows.join('\n')}\n`;
+}
+
+async function main() {
+  let exitCode = 0;
+
+  try {
+    logger.section('Verify Migration');
+
+    // Parse arguments
+    const args = process.argv.slice(2);
+    const getArg = (name) => {
+      const arg = args.find((a) => a.startsWith(`--${name}=`));
+      return arg ? arg.split('=')[1] : null;
+    };
+    const isProduction = args.includes('--env=production');
+    const checksum = args.includes('--checksum');
+    const format = getArg('format') || 'json';
+    const stateFile = StateHelper.resolveStateFile(getArg('state'));
+
+    if (!['json', 'csv'].includes(format)) {
+      throw new Error(`Unsupported report format: ${format} (json, csv)`);
+    }
+
+    logger.info(`Environment: ${isProduction ? 'Production' : 'Local'}`);
+
+    const state = StateHelper.load(stateFile);
+    const target = state.target || 'aws-s3';
+    if (target !== 'aws-s3') {
+      throw new Error(`Only aws-s3 migrations can be verified (state target: ${target})`);
+    }
+
+    const processedFiles = state.processed_files.filter((file) => file.status === 'success');
+    logger.info(`State file: ${path.basename(stateFile)}`);
+    logger.info(`Migrated files: ${processedFiles.length}`);
+    logger.info(`Checksum verification: ${checksum ? 'enabled' : 'disabled'}`);
+
+    // Initialize database and bucket access
+    logger.info('Connecting to database...');
+    const db = await DBHelper.init(process.env);
+    logger.success(`Connected to ${db.client} database`);
+
+    const uploader = R2Uploader.fromEnv(process.env);
+
+    // Checksums recorded by the pre-migration backup
+    let backupFiles = new Map();
+    if (checksum) {
+      const backupPath = BackupHelper.resolveJSONExport(getArg('backup'), BACKUP_DIR);
+      if (!backupPath) {
+        throw new Error('No JSON backup found for checksum verification (use --backup=<file>)');
+      }
+      backupFiles = BackupHelper.loadJSONExport(backupPath).files;
+      logger.info(`Backup: ${path.basename(backupPath)}`);
+    }
+
+    // Verify files
+    logger.section('Verification Progress');
+    const limit = pLimit(CONCURRENCY);
+    let verified = 0;
+
+    const results = (
+      await Promise.all(
+        processedFiles.map((processed) =>
+          limit(async () => {
+            const fileResults = await verifyFile(
+              processed,
+              db,
+              uploader,
+              backupFiles.get(processed.id) || null,
+              checksum
+            );
+            verified++;
+            logger.progress(verified, processedFiles.length, `ID ${processed.id}`);
+            return fileResults;
+          })
+        )
+      )
+    ).flat();
+
+    await db.close();
+
+    // Write report
+    const mismatches = results.filter((result) => result.status !== 'ok');
+    const summary = {
+      total_files: processedFiles.length,
+      total_objects: results.length,
+      ok: results.length - mismatches.length,
+      mismatches: mismatches.length,
+    };
+
+    if (!fs.existsSync(BACKUP_DIR)) {
+      fs.mkdirSync(BACKUP_DIR, { recursive: true });
+    }
+
+    const outputArg = getArg('output');
+    const reportPath = outputArg
+      ? path.resolve(process.cwd(), outputArg)
+      : path.join(BACKUP_DIR, `verification-report-${BackupHelper.getTimestamp()}.${format}`);
+
+    const report =
+      format === 'csv'
+        ? toCSV(results)
+        : JSON.stringify(
+            {
+              verified_at: new Date().toISOString(),
+              state_file: path.basename(stateFile),
+              migration_id: state.migration_id,
+              checksum,
+              summary,
+              results,
+            },
+            null,
+            2
+          );
+    fs.writeFileSync(reportPath, report);
+
+    // Summary
+    logger.section('Verification Summary');
+    logger.stats({
+      'Migrated Files': summary.total_files,
+      'Objects Checked': summary.total_objects,
+      'OK': summary.ok,
+      'Mismatches': summary.mismatches,
+      'Report': path.basename(reportPath),
+    });
+
+    mismatches.forEach((result) => {
+      logger.error(`File ${result.file_id} (${result.variant}): ${result.errors.join('; ')}`);
+    });
+
+    if (mismatches.length > 0) {
+      logger.error(`Verification failed: ${mismatches.length} mismatches`);
+      exitCode = 1;
+    } else {
+      logger.complete('Verification passed');
+    }
+  } catch (error) {
+    logger.error(`Verification failed: ${error.message}`);
+    console.error(error);
+    exitCode = 1;
+  }
+
+  process.exit(exitCode);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = main;
@@ -0,0 +1,18 @@
+/**
+ * backup controller
+ */
+
+import type { Core } from '@strapi/strapi';
+
+export default ({ strapi }: { strapi: Core.Strapi }) => ({
+  async status(ctx) {
+    const status = await strapi.service('api::backup.backup').getStatus();
+
+    // Let uptime monitors alert on a failed last run
+    if (status.lastRun?.status === 'failed') {
+      ctx.status = 503;
+    }
+
+    ctx.body = status;
+  },
+});
@@ -0,0 +1,15 @@
+/**
+ * backup router
+ *
+ * Not public: grant `backup.status` to an API token used for monitoring.
+ */
+
+export default {
+  routes: [
+    {
+      method: 'GET',
+      path: '/backups/status',
+      handler: 'backup.status',
+    },
+  ],
+};
@@ -0,0 +1,206 @@
+/**
+ * backup service
+ *
+ * Scheduled database backups: dumps the database, uploads a gzipped archive
+ * to the bucket and applies a daily/weekly/monthly retention policy.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import type { Core } from '@strapi/strapi';
+import BackupHelper from '../../../utils/backup-helper';
+import R2Uploader from '../../../utils/r2-uploader';
+
+interface BucketObject {
+  key: string;
+  size: number;
+  lastModified: Date;
+}
+
+interface RetentionPolicy {
+  daily: number;
+  weekly: number;
+  monthly: number;
+}
+
+interface BackupRun {
+  status: 'running' | 'success' | 'failed';
+  startedAt: string;
+  finishedAt: string | null;
+  durationMs: number | null;
+  key: string | null;
+  sizeBytes: number | null;
+  deleted: string[];
+  error: string | null;
+}
+
+const STORE_KEY = { type: 'api', name: 'backup', key: 'lastRun' };
+
+/**
+ * ISO-8601 week label (e.g. 2025-W52) of a date
+ */
+const isoWeek = (date: Date) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((day.getTime() - yearStart.getTime()) / 86400000 + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+/**
+ * Pick the backups the retention policy no longer covers
+ * Keeps the newest backup of each of the last N days, weeks and months;
+ * the newest backup overall is always kept.
+ */
+export const selectExpiredBackups = (backups: BucketObject[], policy: RetentionPolicy) => {
+  const sorted = [...backups].sort(
+    (a, b) => new Date(b.lastModified).getTime() - new Date(a.lastModified).getTime()
+  );
+  const keep = new Set<string>(sorted.slice(0, 1).map((backup) => backup.key));
+
+  const periods: Array<{ count: number; label: (date: Date) => string }> = [
+    { count: policy.daily, label: (date) => date.toISOString().slice(0, 10) },
+    { count: policy.weekly, label: isoWeek },
+    { count: policy.monthly, label: (date) => date.toISOString().slice(0, 7) },
+  ];
+
+  periods.forEach(({ count, label }) => {
+    const seen = new Set<string>();
+    sorted.forEach((backup) => {
+      const period = label(new Date(backup.lastModified));
+      if (!seen.has(period) && seen.size < count) {
+        seen.add(period);
+        keep.add(backup.key);
+      }
+    });
+  });
+
+  return sorted.filter((backup) => !keep.has(backup.key));
+};
+
+export default ({ strapi }: { strapi: Core.Strapi }) => {
+  let running = false;
+
+  const getConfig = () => strapi.config.get('backup') as {
+    enabled: boolean;
+    schedule: string;
+    bucket: string;
+    prefix: string;
+    retention: RetentionPolicy;
+  };
+
+  /**
+   * Dump the configured database into a local file, the same way
+   * scripts/backup-before-migration.js does
+   */
+  const dumpDatabase = async (workDir: string): Promise<string> => {
+    const client = strapi.db.dialect.client;
+    const connection = strapi.config.get('database.connection.connection') as any;
+
+    if (client === 'sqlite') {
+      return BackupHelper.backupSQLite(connection.filename, workDir);
+    }
+
+    if (client === 'postgres') {
+      return BackupHelper.backupPostgreSQL(connection, workDir);
+    }
+
+    throw new Error(`Scheduled backups are not supported for database client: ${client}`);
+  };
+
+  const saveRun = async (run: BackupRun) => {
+    await strapi.store.set({ ...STORE_KEY, value: run });
+    return run;
+  };
+
+  return {
+    /**
+     * Create a backup, upload it and apply the retention policy
+     */
+    async run(): Promise<BackupRun> {
+      if (running) {
+        strapi.log.warn('[backup] Previous backup still running, skipping');
+        return this.getLastRun();
+      }
+
+      running = true;
+      const startedAt = new Date();
+      const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-backup-'));
+      const run: BackupRun = {
+        status: 'running',
+        startedAt: startedAt.toISOString(),
+        finishedAt: null,
+        durationMs: null,
+        key: null,
+        sizeBytes: null,
+        deleted: [],
+        error: null,
+      };
+
+      try {
+        await saveRun(run);
+
+        const { bucket, prefix, retention } = getConfig();
+        const uploader = R2Uploader.fromEnv({ ...process.env, AWS_BUCKET: bucket });
+
+        const dumpPath = await dumpDatabase(workDir);
+        const archivePath = await BackupHelper.gzipFile(dumpPath);
+        const { size } = await fs.promises.stat(archivePath);
+        const key = `${prefix}${strapi.db.dialect.client}-${path.basename(archivePath)}`;
+
+        await uploader.uploadFile({ filePath: archivePath, key, contentType: 'application/gzip' });
+        run.key = key;
+        run.sizeBytes = size;
+        strapi.log.info(`[backup] Uploaded ${key} (${size} bytes)`);
+
+        const expired = selectExpiredBackups(await uploader.listObjects(prefix), retention);
+        if (expired.length > 0) {
+          const { deleted, errors } = await uploader.deleteObjects(
+            expired.map((backup) => backup.key)
+          );
+          run.deleted = deleted;
+          errors.forEach((error) =>
+            strapi.log.warn(`[backup] Could not delete ${error.key}: ${error.message}`)
+          );
+          strapi.log.info(`[backup] Retention removed ${deleted.length} old backups`);
+        }
+
+        run.status = 'success';
+      } catch (error) {
+        run.status = 'failed';
+        run.error = error.message;
+        strapi.log.error(`[backup] Backup failed: ${error.message}`);
+      } finally {
+        running = false;
+        fs.rmSync(workDir, { recursive: true, force: true });
+        run.finishedAt = new Date().toISOString();
+        run.durationMs = Date.now() - startedAt.getTime();
+        await saveRun(run);
+      }
+
+      return run;
+    },
+
+    async getLastRun(): Promise<BackupRun | null> {
+      return ((await strapi.store.get(STORE_KEY)) as BackupRun) ?? null;
+    },
+
+    /**
+     * Status for monitoring
+     */
+    async getStatus() {
+      const { enabled, schedule, prefix, retention } = getConfig();
+
+      return {
+        enabled,
+        schedule,
+        prefix,
+        retention,
+        running,
+        lastRun: await this.getLastRun(),
+      };
+    },
+  };
+};
@@ -0,0 +1,15 @@
+/**
+ * build-hook controller
+ */
+
+import type { Core } from '@strapi/strapi';
+
+export default ({ strapi }: { strapi: Core.Strapi }) => ({
+  async deliveries(ctx) {
+    const deliveries = await strapi.service('api::build-hook.build-hook').getDeliveries();
+    const site = ctx.query.site as string | undefined;
+    const data = site ? deliveries.filter((delivery) => delivery.site === site) : deliveries;
+
+    ctx.body = { data, meta: { total: data.length } };
+  },
+});
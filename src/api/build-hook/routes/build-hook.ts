@@ -0,0 +1,15 @@
+/**
+ * build-hook router
+ *
+ * Not public: grant `build-hook.deliveries` to an API token used for monitoring.
+ */
+
+export default {
+  routes: [
+    {
+      method: 'GET',
+      path: '/build-hooks/deliveries',
+      handler: 'build-hook.deliveries',
+    },
+  ],
+};
@@ -0,0 +1,274 @@
+/**
+ * build-hook service
+ *
+ * Calls the build hooks of the sites affected by content changes, so their
+ * static frontends are rebuilt. Changes are debounced and batched per site;
+ * each call is a signed JSON POST, retried on failure and recorded in a
+ * delivery log kept in the core store.
+ */
+
+import crypto from 'crypto';
+import type { Core } from '@strapi/strapi';
+
+interface BuildHookConfig {
+  secret?: string;
+  debounce: number;
+  maxWait: number;
+  retries: number;
+  timeout: number;
+  logSize: number;
+}
+
+interface HookSite {
+  documentId: string;
+  site: string;
+  domain: string | null;
+  build_hook_url: string | null;
+  build_hook_secret: string | null;
+}
+
+export interface BuildEvent {
+  event: string;
+  uid: string;
+  documentId: string;
+  at: string;
+}
+
+export interface Delivery {
+  id: string;
+  site: string;
+  // Host only: hook URLs usually embed their own secret
+  host: string | null;
+  status: 'success' | 'failed';
+  attempts: number;
+  responseStatus: number | null;
+  error: string | null;
+  events: number;
+  startedAt: string;
+  finishedAt: string;
+}
+
+// Content types whose changes trigger builds
+export const BUILD_TYPES = ['api::post.post', 'api::category.category', 'api::auther.auther', 'api::site.site'];
+
+const STORE_KEY = { type: 'api', name: 'build-hook', key: 'deliveries' };
+const SITE_FIELDS = ['documentId', 'site', 'domain', 'build_hook_url', 'build_hook_secret'];
+const RETRY_DELAY = 1000;
+
+const hostOf = (url: string) => {
+  try {
+    return new URL(url).host;
+  } catch {
+    return null;
+  }
+};
+
+const wait = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 5xx and rate limits are worth retrying; other client errors are not
+const isRetryable = (status: number) => status >= 500 || status === 429 || status === 408;
+
+export default ({ strapi }: { strapi: Core.Strapi }) => {
+  const pending = new Map<string, { site: HookSite; events: BuildEvent[] }>();
+  let timer: NodeJS.Timeout | null = null;
+  let firstQueuedAt: number | null = null;
+  // Delivery log writes are serialized so concurrent deliveries do not overwrite each other
+  let logWrite: Promise<unknown> = Promise.resolve();
+
+  const getConfig = () => strapi.config.get('build-hooks') as BuildHookConfig;
+
+  const publishedSites = () =>
+    strapi.db.query('api::site.site').findMany({
+      select: SITE_FIELDS,
+      where: { publishedAt: { $notNull: true } },
+      populate: { categories: { select: ['documentId'] } },
+    });
+
+  /**
+   * Sites of the published posts matching a filter
+   */
+  const postSites = async (where: Record<string, unknown>): Promise<HookSite[]> => {
+    const posts = await strapi.db.query('api::post.post').findMany({
+      select: ['id'],
+      where: { ...where, publishedAt: { $notNull: true } },
+      populate: { site: { select: SITE_FIELDS, where: { publishedAt: { $notNull: true } } } },
+    });
+    return posts.flatMap((post) => post.site ?? []);
+  };
+
+  const appendLog = (delivery: Delivery) => {
+    logWrite = logWrite
+      .then(async () => {
+        const log = ((await strapi.store.get(STORE_KEY)) as Delivery[]) ?? [];
+        await strapi.store.set({ ...STORE_KEY, value: [delivery, ...log].slice(0, getConfig().logSize) });
+      })
+      .catch((error) => strapi.log.error(`[build-hook] Could not save the delivery log: ${error.message}`));
+    return logWrite;
+  };
+
+  /**
+   * POST a batch to a site's build hook, retrying with exponential backoff
+   */
+  const deliver = async (site: HookSite, events: BuildEvent[]): Promise<Delivery> => {
+    const { secret, retries, timeout } = getConfig();
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({
+      id,
+      site: { documentId: site.documentId, site: site.site, domain: site.domain },
+      events,
+    });
+    const signingKey = site.build_hook_secret || secret;
+    const delivery: Delivery = {
+      id,
+      site: site.site,
+      host: hostOf(site.build_hook_url),
+      status: 'failed',
+      attempts: 0,
+      responseStatus: null,
+      error: null,
+      events: events.length,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+    };
+
+    if (!delivery.host) {
+      delivery.error = 'Invalid build hook URL';
+    }
+
+    for (let attempt = 1; delivery.host && attempt <= retries + 1; attempt += 1) {
+      delivery.attempts = attempt;
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const headers: Record<string, string> = {
+        'Content-Type': 'application/json',
+        'X-Build-Hook-Id': id,
+        'X-Build-Hook-Attempt': String(attempt),
+        'X-Build-Hook-Timestamp': timestamp,
+      };
+      if (signingKey) {
+        // Signed with the timestamp so a captured request cannot be replayed later
+        headers['X-Build-Hook-Signature'] = `sha256=${crypto
+          .createHmac('sha256', signingKey)
+          .update(`${timestamp}.${body}`)
+          .digest('hex')}`;
+      }
+
+      let retryable = true;
+      try {
+        const response = await fetch(site.build_hook_url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(timeout),
+        });
+        delivery.responseStatus = response.status;
+        if (response.ok) {
+          delivery.status = 'success';
+          delivery.error = null;
+          break;
+        }
+        delivery.error = `HTTP ${response.status}`;
+        retryable = isRetryable(response.status);
+      } catch (error) {
+        delivery.responseStatus = null;
+        delivery.error = error.message;
+      }
+
+      if (!retryable || attempt > retries) {
+        break;
+      }
+      await wait(RETRY_DELAY * 2 ** (attempt - 1));
+    }
+
+    delivery.finishedAt = new Date().toISOString();
+    if (delivery.status === 'success') {
+      strapi.log.info(`[build-hook] Triggered ${site.site} build (${events.length} changes)`);
+    } else {
+      strapi.log.error(
+        `[build-hook] Could not trigger ${site.site} build after ${delivery.attempts} attempts: ${delivery.error}`
+      );
+    }
+    await appendLog(delivery);
+
+    return delivery;
+  };
+
+  return {
+    /**
+     * Published sites showing an entry that have a build hook: the sites of
+     * a post, the sites of an author's posts, the sites of a category's posts
+     * and those allowing it, or the site itself
+     */
+    async findAffectedSites(uid: string, documentId: string): Promise<HookSite[]> {
+      let sites: HookSite[] = [];
+
+      if (uid === 'api::post.post') {
+        sites = await postSites({ documentId });
+      } else if (uid === 'api::auther.auther') {
+        sites = await postSites({ auther: { documentId } });
+      } else if (uid === 'api::category.category') {
+        const allowing = (await publishedSites()).filter(
+          (site) =>
+            site.categories.length === 0 ||
+            site.categories.some((category) => category.documentId === documentId)
+        );
+        sites = [...allowing, ...(await postSites({ category: { documentId } }))];
+      } else if (uid === 'api::site.site') {
+        sites = (await publishedSites()).filter((site) => site.documentId === documentId);
+      }
+
+      const unique = new Map(sites.map((site) => [site.documentId, site]));
+      return [...unique.values()].filter((site) => site.build_hook_url);
+    },
+
+    /**
+     * Add a change to the next batch of each site
+     * The batch is sent once no change has come in for `debounce` ms, or
+     * `maxWait` ms after its first change at the latest.
+     */
+    queue(sites: HookSite[], event: Omit<BuildEvent, 'at'>) {
+      if (sites.length === 0) {
+        return;
+      }
+
+      const at = new Date().toISOString();
+      new Map(sites.map((site) => [site.documentId, site])).forEach((site) => {
+        const batch = pending.get(site.documentId) ?? { site, events: [] };
+        // The latest hook settings win, e.g. after the site itself was republished
+        batch.site = site;
+        batch.events.push({ ...event, at });
+        pending.set(site.documentId, batch);
+      });
+
+      const { debounce, maxWait } = getConfig();
+      firstQueuedAt = firstQueuedAt ?? Date.now();
+      const delay = Math.max(0, Math.min(debounce, firstQueuedAt + maxWait - Date.now()));
+
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        this.flush().catch((error) => strapi.log.error(`[build-hook] Dispatch failed: ${error.message}`));
+      }, delay);
+    },
+
+    /**
+     * Send every pending batch now
+     */
+    async flush(): Promise<Delivery[]> {
+      clearTimeout(timer);
+      timer = null;
+      firstQueuedAt = null;
+
+      const batches = [...pending.values()];
+      pending.clear();
+
+      return Promise.all(batches.map(({ site, events }) => deliver(site, events)));
+    },
+
+    /**
+     * Latest deliveries, newest first
+     */
+    async getDeliveries(): Promise<Delivery[]> {
+      await logWrite;
+      return ((await strapi.store.get(STORE_KEY)) as Delivery[]) ?? [];
+    },
+  };
+};
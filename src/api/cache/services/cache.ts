@@ -0,0 +1,81 @@
+/**
+ * cache service
+ *
+ * Holds the response cache store used by the cache middleware and purges
+ * it when content changes (see `register` in src/index.ts).
+ */
+
+import type { Core } from '@strapi/strapi';
+import { createMemoryStore, createRedisStore, type CacheStore, type CachedResponse } from '../../../utils/cache-store';
+
+interface CacheConfig {
+  enabled: boolean;
+  store: 'memory' | 'redis';
+  max: number;
+  redis: { url: string; prefix: string };
+  ttl: number;
+  maxAge: number;
+  sMaxAge: number;
+}
+
+// Surrogate key of each cached content type
+export const CACHE_TAGS = {
+  'api::post.post': 'post',
+  'api::category.category': 'category',
+  'api::auther.auther': 'auther',
+  'api::site.site': 'site',
+} as const;
+
+export default ({ strapi }: { strapi: Core.Strapi }) => {
+  let store: CacheStore | null = null;
+
+  const getConfig = () => strapi.config.get('cache') as CacheConfig;
+
+  const getStore = () => {
+    if (!store) {
+      const config = getConfig();
+      store = config.store === 'redis' ? createRedisStore(config.redis) : createMemoryStore(config);
+    }
+    return store;
+  };
+
+  return {
+    getConfig,
+
+    isEnabled() {
+      return Boolean(getConfig()?.enabled);
+    },
+
+    async get(key: string) {
+      return getStore().get(key);
+    },
+
+    async set(key: string, value: CachedResponse) {
+      return getStore().set(key, value, getConfig().ttl);
+    },
+
+    /**
+     * Drop the cached responses of a changed entry: those of its content
+     * type and those that show the document
+     */
+    async purgeEntry(uid: string, documentId?: string) {
+      const tags = [CACHE_TAGS[uid], documentId].filter(Boolean);
+      if (!this.isEnabled() || tags.length === 0) {
+        return 0;
+      }
+
+      try {
+        const purged = await getStore().purge(tags);
+        strapi.log.debug(`[cache] Purged ${purged} responses for ${tags.join(' ')}`);
+        return purged;
+      } catch (error) {
+        strapi.log.error(`[cache] Could not purge ${tags.join(' ')}: ${error.message}`);
+        return 0;
+      }
+    },
+
+    async clear() {
+      return getStore().clear();
+    },
+  };
+};
@@ -4,4 +4,39 @@
 
 import { factories } from '@strapi/strapi'
 
-export default factories.createCoreController('api::category.category');
+export default factories.createCoreController('api::category.category', ({ strapi }) => {
+  /**
+   * Add ready-to-use metadata (meta tags, JSON-LD) to the categories of a
+   * response as `seo_meta` when requested with `?seo=true`
+   */
+  const addSeoMeta = async (ctx, response) => {
+    const categories = [].concat(response?.data ?? []);
+    if (ctx.query.seo !== 'true' || categories.length === 0) {
+      return response;
+    }
+
+    const meta = await strapi.service('api::seo.seo').categoryMeta(
+      categories.map((category) => category.documentId),
+      {
+        status: ctx.query.status === 'draft' ? 'draft' : 'published',
+        site: ctx.state.site,
+        auth: ctx.state.auth,
+      }
+    );
+
+    categories.forEach((category) => {
+      category.seo_meta = meta.get(category.documentId) ?? null;
+    });
+    return response;
+  };
+
+  return {
+    async find(ctx) {
+      return addSeoMeta(ctx, await super.find(ctx));
+    },
+
+    async findOne(ctx) {
+      return addSeoMeta(ctx, await super.findOne(ctx));
+    },
+  };
+});
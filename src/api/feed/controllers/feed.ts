@@ -0,0 +1,57 @@
+/**
+ * feed controller
+ */
+
+import type { Core } from '@strapi/strapi';
+
+const FORMATS = {
+  rss: { type: 'application/rss+xml; charset=utf-8', serialize: 'toRSS' },
+  atom: { type: 'application/atom+xml; charset=utf-8', serialize: 'toAtom' },
+  json: { type: 'application/feed+json; charset=utf-8', serialize: 'toJSONFeed' },
+} as const;
+
+export default ({ strapi }: { strapi: Core.Strapi }) => {
+  /**
+   * Respond with the feed for the `site` and `category` query parameters
+   * Without `site`, the site resolved from the request (X-Site / Host) is used.
+   */
+  const send = async (ctx, format: keyof typeof FORMATS) => {
+    const service = strapi.service('api::feed.feed');
+    const { site: siteKey, category } = ctx.query;
+
+    let site = ctx.state.site;
+    if (typeof siteKey === 'string' && siteKey) {
+      site = await strapi.service('api::site.site').resolve({ key: siteKey });
+      if (!site) {
+        return ctx.notFound(`Unknown site: ${siteKey}`);
+      }
+    }
+
+    const feed = await service.build({
+      site,
+      category: typeof category === 'string' && category ? category : undefined,
+    });
+    if (!feed) {
+      return ctx.notFound(`Unknown category: ${category}`);
+    }
+
+    const { type, serialize } = FORMATS[format];
+    ctx.body = service[serialize](feed, ctx.href);
+    // After the body, which would otherwise set application/json for JSON Feed
+    ctx.type = type;
+  };
+
+  return {
+    async rss(ctx) {
+      return send(ctx, 'rss');
+    },
+
+    async atom(ctx) {
+      return send(ctx, 'atom');
+    },
+
+    async json(ctx) {
+      return send(ctx, 'json');
+    },
+  };
+};
@@ -0,0 +1,28 @@
+/**
+ * feed router
+ *
+ * Public: feed readers cannot send API tokens.
+ */
+
+export default {
+  routes: [
+    {
+      method: 'GET',
+      path: '/feeds/rss.xml',
+      handler: 'feed.rss',
+      config: { auth: false },
+    },
+    {
+      method: 'GET',
+      path: '/feeds/atom.xml',
+      handler: 'feed.atom',
+      config: { auth: false },
+    },
+    {
+      method: 'GET',
+      path: '/feeds/feed.json',
+      handler: 'feed.json',
+      config: { auth: false },
+    },
+  ],
+};
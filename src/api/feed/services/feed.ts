@@ -0,0 +1,213 @@
+/**
+ * feed service
+ *
+ * Builds RSS 2.0, Atom and JSON Feed documents from published posts,
+ * optionally for one site and/or category.
+ */
+
+import type { Core } from '@strapi/strapi';
+import { contentBlocksToHTML } from '../../../utils/content-blocks';
+import { cdata, escapeXML } from '../../../utils/xml';
+import { POST_POPULATE } from '../../post/services/post';
+
+interface FeedConfig {
+  title: string;
+  description: string;
+  limit: number;
+}
+
+interface FeedItem {
+  id: string;
+  url: string;
+  title: string;
+  summary: string;
+  contentHTML: string;
+  publishedAt: string;
+  updatedAt: string;
+  author: string | null;
+  category: string | null;
+  image: { url: string; mime: string; length: number } | null;
+}
+
+export interface Feed {
+  title: string;
+  description: string;
+  link: string;
+  language: string | null;
+  updatedAt: string;
+  items: FeedItem[];
+}
+
+export default ({ strapi }: { strapi: Core.Strapi }) => {
+  const resolveUrl = (url: string) => strapi.service('api::post.post').resolveMediaUrl(url);
+
+  return {
+    /**
+     * Feed data for published posts, newest first
+     * @param site - Site entry (with `site`, `domain`, ...) the feed is for
+     * @param category - Category slug
+     * @returns null when the category does not exist
+     */
+    async build({ site, category }: { site?: any; category?: string }): Promise<Feed | null> {
+      const config = strapi.config.get('feeds') as FeedConfig;
+
+      const filters: Record<string, unknown> = {};
+      let categoryEntry = null;
+
+      if (site) {
+        filters.site = { documentId: site.documentId };
+      }
+
+      if (category) {
+        categoryEntry = await strapi
+          .documents('api::category.category')
+          .findFirst({ status: 'published', filters: { slug: category } });
+        if (!categoryEntry) {
+          return null;
+        }
+        filters.category = { documentId: categoryEntry.documentId };
+      }
+
+      const posts: any[] = await strapi.documents('api::post.post').findMany({
+        status: 'published',
+        filters,
+        sort: { publishedAt: 'desc' },
+        limit: config.limit,
+        populate: POST_POPULATE,
+      });
+
+      const siteService = strapi.service('api::site.site');
+      const link = siteService.getFrontendUrl(site);
+      const title = [site?.site ?? config.title, categoryEntry?.name].filter(Boolean).join(' - ');
+
+      return {
+        title,
+        description: site?.default_seo_description || config.description,
+        link,
+        language: site?.language ?? null,
+        updatedAt: posts[0]?.updatedAt ?? new Date().toISOString(),
+        items: posts.map((post) => {
+          const url = siteService.getEntryUrl(site, 'post', post.slug);
+          const image = post.featured_image;
+
+          return {
+            id: url,
+            url,
+            title: post.title ?? '',
+            summary: post.description ?? '',
+            contentHTML: contentBlocksToHTML(post.content_blocks, { resolveUrl }),
+            publishedAt: post.publishedAt,
+            updatedAt: post.updatedAt,
+            author: post.auther?.name ?? null,
+            category: post.category?.name ?? null,
+            // Strapi stores file sizes in KB of 1000 bytes
+            image: image
+              ? { url: resolveUrl(image.url), mime: image.mime, length: Math.round(image.size * 1000) }
+              : null,
+          };
+        }),
+      };
+    },
+
+    /**
+     * RSS 2.0 document
+     */
+    toRSS(feed: Feed, selfUrl: string) {
+      const items = feed.items.map(
+        (item) => `    <item>
+      <title>${escapeXML(item.title)}</title>
+      <link>${escapeXML(item.url)}</link>
+      <guid isPermaLink="true">${escapeXML(item.id)}</guid>
+      <pubDate>${new Date(item.publishedAt).toUTCString()}</pubDate>
+      <description>${escapeXML(item.summary)}</description>
+      <content:encoded>${cdata(item.contentHTML)}</content:encoded>${
+        item.author ? `\n      <dc:creator>${escapeXML(item.author)}</dc:creator>` : ''
+      }${item.category ? `\n      <category>${escapeXML(item.category)}</category>` : ''}${
+        item.image
+          ? `\n      <enclosure url="${escapeXML(item.image.url)}" length="${item.image.length}" type="${escapeXML(item.image.mime)}"/>`
+          : ''
+      }
+    </item>`
+      );
+
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXML(feed.title)}</title>
+    <link>${escapeXML(feed.link)}</link>
+    <description>${escapeXML(feed.description)}</description>${
+      feed.language ? `\n    <language>${escapeXML(feed.language)}</language>` : ''
+    }
+    <lastBuildDate>${new Date(feed.updatedAt).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXML(selfUrl)}" rel="self" type="application/rss+xml"/>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+    },
+
+    /**
+     * Atom 1.0 document
+     */
+    toAtom(feed: Feed, selfUrl: string) {
+      const entries = feed.items.map(
+        (item) => `  <entry>
+    <title>${escapeXML(item.title)}</title>
+    <link href="${escapeXML(item.url)}"/>
+    <id>${escapeXML(item.id)}</id>
+    <published>${new Date(item.publishedAt).toISOString()}</published>
+    <updated>${new Date(item.updatedAt).toISOString()}</updated>${
+      item.author ? `\n    <author><name>${escapeXML(item.author)}</name></author>` : ''
+    }${item.category ? `\n    <category term="${escapeXML(item.category)}"/>` : ''}
+    <summary>${escapeXML(item.summary)}</summary>
+    <content type="html">${escapeXML(item.contentHTML)}</content>${
+      item.image
+        ? `\n    <link rel="enclosure" href="${escapeXML(item.image.url)}" length="${item.image.length}" type="${escapeXML(item.image.mime)}"/>`
+        : ''
+    }
+  </entry>`
+      );
+
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom"${feed.language ? ` xml:lang="${escapeXML(feed.language)}"` : ''}>
+  <title>${escapeXML(feed.title)}</title>
+  <subtitle>${escapeXML(feed.description)}</subtitle>
+  <link href="${escapeXML(feed.link)}"/>
+  <link rel="self" href="${escapeXML(selfUrl)}"/>
+  <id>${escapeXML(selfUrl)}</id>
+  <updated>${new Date(feed.updatedAt).toISOString()}</updated>
+${entries.join('\n')}
+</feed>
+`;
+    },
+
+    /**
+     * JSON Feed 1.1 document
+     */
+    toJSONFeed(feed: Feed, selfUrl: string) {
+      return {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.link,
+        feed_url: selfUrl,
+        description: feed.description,
+        language: feed.language ?? undefined,
+        items: feed.items.map((item) => ({
+          id: item.id,
+          url: item.url,
+          title: item.title,
+          summary: item.summary,
+          content_html: item.contentHTML,
+          image: item.image?.url,
+          date_published: new Date(item.publishedAt).toISOString(),
+          date_modified: new Date(item.updatedAt).toISOString(),
+          authors: item.author ? [{ name: item.author }] : undefined,
+          tags: item.category ? [item.category] : undefined,
+          attachments: item.image
+            ? [{ url: item.image.url, mime_type: item.image.mime, size_in_bytes: item.image.length }]
+            : undefined,
+        })),
+      };
+    },
+  };
+};
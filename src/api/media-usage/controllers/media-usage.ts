@@ -0,0 +1,11 @@
+/**
+ * media-usage controller
+ */
+
+import type { Core } from '@strapi/strapi';
+
+export default ({ strapi }: { strapi: Core.Strapi }) => ({
+  async report(ctx) {
+    ctx.body = await strapi.service('api::media-usage.media-usage').report();
+  },
+});
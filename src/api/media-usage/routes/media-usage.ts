@@ -0,0 +1,16 @@
+/**
+ * media-usage router
+ *
+ * Not public: grant `media-usage.report` to an API token (or an admin-only
+ * users-permissions role) to call it.
+ */
+
+export default {
+  routes: [
+    {
+      method: 'GET',
+      path: '/media-usage',
+      handler: 'media-usage.report',
+    },
+  ],
+};
@@ -0,0 +1,28 @@
+/**
+ * media-usage service
+ *
+ * Resolves which entries use each media file. The scan itself lives in
+ * src/utils/media-usage-helper.js, shared with scripts/media-usage-report.js,
+ * and runs on a connection of the app's pool through DBHelper.
+ */
+
+import type { Core } from '@strapi/strapi';
+import DBHelper from '../../../utils/db-helper';
+import MediaUsageHelper from '../../../utils/media-usage-helper';
+
+export default ({ strapi }: { strapi: Core.Strapi }) => ({
+  /**
+   * Build the usage report
+   * - unused: files no entry or component references
+   * - drafts_only: files referenced only by draft versions
+   * - shared: files referenced by more than one entry (document)
+   */
+  async report() {
+    const db = await DBHelper.fromKnex(strapi.db.dialect.client, strapi.db.connection);
+    try {
+      return await MediaUsageHelper.buildReport(db);
+    } finally {
+      await db.close();
+    }
+  },
+});
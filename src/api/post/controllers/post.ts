@@ -3,5 +3,139 @@
  */
 
 import { factories } from '@strapi/strapi'
+import { isRenderFormat, RENDER_FORMATS } from '../services/post';
+import { highlightCode } from '../../../utils/code-highlight';
 
-export default factories.createCoreController('api::post.post');
+const MAX_RELATED = 20;
+
+/**
+ * Whether the `render` query parameter is absent or valid; responds 400 otherwise
+ */
+const checkRenderFormat = (ctx) => {
+  const { render } = ctx.query;
+  if (render === undefined || isRenderFormat(render)) {
+    return true;
+  }
+  ctx.badRequest(`render must be one of: ${Object.keys(RENDER_FORMATS).join(', ')}`);
+  return false;
+};
+
+/**
+ * Add the highlighted HTML of every populated code block as
+ * `highlighted_html` when requested with `?highlight=true`
+ */
+const addHighlightedCode = (ctx, response) => {
+  if (ctx.query.highlight !== 'true') {
+    return response;
+  }
+
+  [].concat(response?.data ?? []).forEach((post) => {
+    (Array.isArray(post.content_blocks) ? post.content_blocks : [])
+      .filter((block) => block.__component === 'code.code')
+      .forEach((block) => {
+        block.highlighted_html = highlightCode(block);
+      });
+  });
+  return response;
+};
+
+export default factories.createCoreController('api::post.post', ({ strapi }) => {
+  /**
+   * Add `content_html` or `content_markdown` to the posts of a response when
+   * requested with `?render=html|markdown`
+   */
+  const addRenderedContent = async (ctx, response, status: 'draft' | 'published' = 'published') => {
+    const format = ctx.query.render;
+    const posts = [].concat(response?.data ?? []);
+    if (!isRenderFormat(format) || posts.length === 0) {
+      return response;
+    }
+
+    const rendered = await strapi
+      .service('api::post.post')
+      .renderContent(posts.map((post) => post.documentId), format, { status });
+
+    posts.forEach((post) => {
+      post[`content_${format}`] = rendered.get(post.documentId) ?? '';
+    });
+    return response;
+  };
+
+  /**
+   * Add ready-to-use metadata (meta tags, JSON-LD) to the posts of a
+   * response as `seo_meta` when requested with `?seo=true`
+   */
+  const addSeoMeta = async (ctx, response, status: 'draft' | 'published' = 'published') => {
+    const posts = [].concat(response?.data ?? []);
+    if (ctx.query.seo !== 'true' || posts.length === 0) {
+      return response;
+    }
+
+    const meta = await strapi
+      .service('api::seo.seo')
+      .postMeta(posts.map((post) => post.documentId), { status, site: ctx.state.site, auth: ctx.state.auth });
+
+    posts.forEach((post) => {
+      post.seo_meta = meta.get(post.documentId) ?? null;
+    });
+    return response;
+  };
+
+  const requestedStatus = (ctx) => (ctx.query.status === 'draft' ? 'draft' : 'published');
+
+  return {
+    async find(ctx) {
+      if (!checkRenderFormat(ctx)) {
+        return;
+      }
+      const response = addHighlightedCode(ctx, await super.find(ctx));
+      await addSeoMeta(ctx, response, requestedStatus(ctx));
+      return addRenderedContent(ctx, response, requestedStatus(ctx));
+    },
+
+    async findOne(ctx) {
+      if (!checkRenderFormat(ctx)) {
+        return;
+      }
+      const response = addHighlightedCode(ctx, await super.findOne(ctx));
+      await addSeoMeta(ctx, response, requestedStatus(ctx));
+      return addRenderedContent(ctx, response, requestedStatus(ctx));
+    },
+
+    async findBySlug(ctx) {
+      if (!checkRenderFormat(ctx)) {
+        return;
+      }
+
+      // Set by the preview middleware for a valid preview token
+      const preview = ctx.state.preview;
+
+      const post = await strapi
+        .service('api::post.post')
+        .findOneBySlug(ctx.params.slug, { status: preview ? 'draft' : 'published' });
+
+      // A preview token only grants access to the draft of its own document
+      if (!post || (preview && post.documentId !== preview.documentId)) {
+        return ctx.notFound('Post not found');
+      }
+
+      const sanitizedPost = await this.sanitizeOutput(post, ctx);
+      const response = addHighlightedCode(ctx, this.transformResponse(sanitizedPost));
+      await addSeoMeta(ctx, response, preview ? 'draft' : 'published');
+      return addRenderedContent(ctx, response, preview ? 'draft' : 'published');
+    },
+
+    async related(ctx) {
+      const limit = Math.min(Math.max(Number(ctx.query.limit) || 5, 1), MAX_RELATED);
+
+      const posts = await strapi.service('api::post.post').findRelated(ctx.params.id, { limit });
+
+      if (!posts) {
+        return ctx.notFound('Post not found');
+      }
+
+      const sanitizedPosts = await this.sanitizeOutput(posts, ctx);
+      return this.transformResponse(sanitizedPosts);
+    },
+  };
+});
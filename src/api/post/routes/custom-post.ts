@@ -0,0 +1,18 @@
+/**
+ * custom post routes
+ */
+
+export default {
+  routes: [
+    {
+      method: 'GET',
+      path: '/posts/slug/:slug',
+      handler: 'post.findBySlug',
+    },
+    {
+      method: 'GET',
+      path: '/posts/:id/related',
+      handler: 'post.related',
+    },
+  ],
+};
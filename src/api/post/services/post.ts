@@ -3,5 +3,212 @@
  */
 
 import { factories } from '@strapi/strapi';
+import {
+  contentBlocksToHTML,
+  contentBlocksToMarkdown,
+  contentBlocksToOutline,
+  countWords,
+} from '../../../utils/content-blocks';
 
-export default factories.createCoreService('api::post.post');
+// Everything a post page needs, including every content_blocks component
+export const POST_POPULATE = {
+  auther: { populate: { avatar: true } },
+  category: true,
+  site: true,
+  featured_image: true,
+  seo: { populate: { og_image: true } },
+  content_blocks: {
+    on: {
+      'rich-text.rich-text': true,
+      'image.image': { populate: { image: true } },
+      'code.code': true,
+      'youtube-video.youtube-video': true,
+      'table.htmltable': true,
+    },
+  },
+} as const;
+
+// Renderers of the `content_blocks` dynamic zone, by `render` query value
+export const RENDER_FORMATS = {
+  html: contentBlocksToHTML,
+  markdown: contentBlocksToMarkdown,
+};
+
+export type RenderFormat = keyof typeof RENDER_FORMATS;
+
+export const isRenderFormat = (value: unknown): value is RenderFormat =>
+  typeof value === 'string' && Object.prototype.hasOwnProperty.call(RENDER_FORMATS, value);
+
+// Average adult silent reading speed
+const WORDS_PER_MINUTE = 200;
+
+// Weights of the signals used to rank related posts
+const RELATED_WEIGHTS = {
+  category: 3,
+  auther: 2,
+  site: 1,
+  text: 4,
+};
+
+// Most recent published posts considered as related candidates
+const RELATED_CANDIDATES = 500;
+
+const RELATED_CACHE_TTL = 60 * 60 * 1000;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'you', 'your', 'how', 'what',
+  'why', 'when', 'our', 'not', 'but', 'all', 'can', 'has', 'have', 'into', 'about', 'its',
+]);
+
+const tokenize = (text: string) =>
+  new Set(
+    (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []).filter(
+      (token) => token.length > 2 && !STOP_WORDS.has(token)
+    )
+  );
+
+/**
+ * Jaccard similarity of two token sets
+ */
+const similarity = (a: Set<string>, b: Set<string>) => {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  const shared = [...a].filter((token) => b.has(token)).length;
+  return shared / (a.size + b.size - shared);
+};
+
+const documentIds = (value) =>
+  (Array.isArray(value) ? value : value ? [value] : []).map((related) => related.documentId);
+
+export default factories.createCoreService('api::post.post', ({ strapi }) => {
+  const relatedCache = new Map<string, { expiresAt: number; posts: any[] }>();
+
+  return {
+    /**
+     * Absolute URL of media stored with a relative path (local uploads)
+     */
+    resolveMediaUrl(url: string) {
+      return url.startsWith('/') ? `${strapi.config.get('server.url', '')}${url}` : url;
+    },
+
+    /**
+     * Rendered `content_blocks` of posts, by document ID
+     * Blocks are loaded fully populated, whatever the request populated.
+     */
+    async renderContent(
+      documentIds: string[],
+      format: RenderFormat,
+      { status = 'published' }: { status?: 'draft' | 'published' } = {}
+    ) {
+      const posts: any[] = await strapi.documents('api::post.post').findMany({
+        status,
+        filters: { documentId: { $in: documentIds } },
+        fields: ['slug'],
+        populate: { content_blocks: POST_POPULATE.content_blocks },
+      });
+
+      const render = RENDER_FORMATS[format];
+      const resolveUrl = (url: string) => this.resolveMediaUrl(url);
+
+      return new Map<string, string>(
+        posts.map((post) => [post.documentId, render(post.content_blocks, { resolveUrl })])
+      );
+    },
+
+    /**
+     * Word count, reading time (minutes) and heading outline of post content,
+     * stored with the post on save
+     */
+    computeReadingStats(contentBlocks) {
+      const words = countWords(contentBlocks);
+      return {
+        word_count: words,
+        reading_time: words > 0 ? Math.ceil(words / WORDS_PER_MINUTE) : 0,
+        toc: contentBlocksToOutline(contentBlocks),
+      };
+    },
+
+    /**
+     * Find a post by slug with its relations and content blocks populated
+     */
+    async findOneBySlug(slug: string, { status = 'published' }: { status?: 'draft' | 'published' } = {}) {
+      return strapi.documents('api::post.post').findFirst({
+        filters: { slug },
+        status,
+        populate: POST_POPULATE,
+      });
+    },
+
+    /**
+     * Published posts related to a post, best first
+     * Scores shared category, author and sites plus the similarity of title
+     * and description. Returns null when the post is not published.
+     */
+    async findRelated(documentId: string, { limit = 5 }: { limit?: number } = {}) {
+      // Results depend on the site scope of the request
+      const site = strapi.requestContext.get()?.state?.site;
+      const cacheKey = `${documentId}:${site?.documentId ?? '*'}:${limit}`;
+      const cached = relatedCache.get(cacheKey);
+      if (cached && cached.expiresAt > Date.now()) {
+        return cached.posts;
+      }
+
+      const query: Record<string, any> = {
+        status: 'published',
+        fields: ['title', 'slug', 'description', 'publishedAt'],
+        populate: {
+          category: { fields: ['name', 'slug'] },
+          auther: { fields: ['name'] },
+          site: { fields: ['site'] },
+          featured_image: true,
+        },
+      };
+
+      const post: any = await strapi.documents('api::post.post').findOne({ documentId, ...query });
+      if (!post) {
+        return null;
+      }
+
+      const candidates: any[] = await strapi.documents('api::post.post').findMany({
+        ...query,
+        filters: { documentId: { $ne: documentId } },
+        sort: { publishedAt: 'desc' },
+        limit: RELATED_CANDIDATES,
+      });
+
+      const tokens = tokenize(`${post.title ?? ''} ${post.description ?? ''}`);
+      const sites = new Set(documentIds(post.site));
+
+      const posts = candidates
+        .map((candidate) => {
+          const score =
+            (post.category && candidate.category?.documentId === post.category.documentId
+              ? RELATED_WEIGHTS.category
+              : 0) +
+            (post.auther && candidate.auther?.documentId === post.auther.documentId
+              ? RELATED_WEIGHTS.auther
+              : 0) +
+            (documentIds(candidate.site).some((id) => sites.has(id)) ? RELATED_WEIGHTS.site : 0) +
+            RELATED_WEIGHTS.text *
+              similarity(tokens, tokenize(`${candidate.title ?? ''} ${candidate.description ?? ''}`));
+
+          return { candidate, score };
+        })
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ candidate }) => candidate);
+
+      relatedCache.set(cacheKey, { expiresAt: Date.now() + RELATED_CACHE_TTL, posts });
+      return posts;
+    },
+
+    /**
+     * Drop cached related posts; any publication can change every list
+     */
+    clearRelatedCache() {
+      relatedCache.clear();
+    },
+  };
+});
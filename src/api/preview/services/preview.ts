@@ -0,0 +1,146 @@
+/**
+ * preview service
+ *
+ * Signed, short-lived preview tokens scoped to one document, and the
+ * frontend preview URLs carrying them. A token is
+ * `base64url(payload).base64url(HMAC-SHA256(payload, PREVIEW_SECRET))`; the
+ * payload is readable by frontends but cannot be altered.
+ */
+
+import crypto from 'crypto';
+import type { Core } from '@strapi/strapi';
+
+export interface PreviewToken {
+  uid: string;
+  documentId: string;
+  // Site name the token was issued for, null for the default frontend
+  site: string | null;
+  // Expiry, in seconds since the epoch
+  exp: number;
+}
+
+// Content types that can be previewed, with their `:type` in preview URLs
+export const PREVIEW_TYPES = {
+  'api::post.post': 'post',
+  'api::category.category': 'category',
+  'api::auther.auther': 'author',
+} as const;
+
+export default ({ strapi }: { strapi: Core.Strapi }) => {
+  const getSecret = () => strapi.config.get('preview.secret') as string | undefined;
+
+  const sign = (payload: string) =>
+    crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+
+  /**
+   * Sites an entry appears on: the sites of a post, the sites allowing a
+   * category, every site for authors
+   */
+  const findSites = async (uid: string, document): Promise<any[]> => {
+    if (uid === 'api::post.post') {
+      return document.site ?? [];
+    }
+
+    const sites: any[] = await strapi.db.query('api::site.site').findMany({
+      where: { publishedAt: { $notNull: true } },
+      populate: { categories: { select: ['documentId'] } },
+    });
+
+    return uid === 'api::category.category'
+      ? sites.filter(
+          (site) =>
+            site.categories.length === 0 ||
+            site.categories.some((category) => category.documentId === document.documentId)
+        )
+      : sites;
+  };
+
+  return {
+    isEnabled() {
+      return Boolean(getSecret());
+    },
+
+    isPreviewable(uid: string) {
+      return Object.prototype.hasOwnProperty.call(PREVIEW_TYPES, uid);
+    },
+
+    /**
+     * Signed token granting read access to the draft of one document
+     */
+    createToken({ uid, documentId, site = null }: { uid: string; documentId: string; site?: string | null }) {
+      if (!this.isEnabled()) {
+        throw new Error('PREVIEW_SECRET is not set');
+      }
+
+      const ttl = strapi.config.get('preview.tokenTtl', 3600) as number;
+      const token: PreviewToken = { uid, documentId, site, exp: Math.floor(Date.now() / 1000) + ttl };
+      const payload = Buffer.from(JSON.stringify(token)).toString('base64url');
+      return `${payload}.${sign(payload)}`;
+    },
+
+    /**
+     * Payload of a token with a valid signature that has not expired
+     * @returns null otherwise
+     */
+    verifyToken(token: string | null | undefined): PreviewToken | null {
+      const [payload, signature, ...rest] = (token ?? '').split('.');
+      if (!this.isEnabled() || !payload || !signature || rest.length > 0) {
+        return null;
+      }
+
+      const expected = Buffer.from(sign(payload));
+      const actual = Buffer.from(signature);
+      if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+      }
+
+      try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')) as PreviewToken;
+        return data.exp > Date.now() / 1000 && this.isPreviewable(data.uid) ? data : null;
+      } catch {
+        return null;
+      }
+    },
+
+    /**
+     * Preview URL of a document on every site it appears on (or on the
+     * default frontend), each with its own token
+     * @returns An empty list when the document does not exist
+     */
+    async getPreviewUrls(uid: string, documentId: string) {
+      if (!this.isPreviewable(uid)) {
+        return [];
+      }
+
+      const document: any = await strapi.db.query(uid).findOne({
+        where: { documentId },
+        populate: uid === 'api::post.post' ? { site: true } : {},
+      });
+      if (!document) {
+        return [];
+      }
+
+      const siteService = strapi.service('api::site.site');
+      const sites = await findSites(uid, document);
+      const path = strapi.config.get('frontend.previewPath') as string;
+
+      return (sites.length > 0 ? sites : [null]).map((site) => {
+        const token = this.createToken({ uid, documentId, site: site?.site ?? null });
+        const placeholders = {
+          type: PREVIEW_TYPES[uid],
+          slug: document.slug ?? documentId,
+          documentId,
+          token,
+        };
+
+        return {
+          site: site?.site ?? null,
+          url: `${siteService.getFrontendUrl(site)}${path.replace(
+            /:(type|slug|documentId|token)\b/g,
+            (_, name: string) => encodeURIComponent(placeholders[name])
+          )}`,
+        };
+      });
+    },
+  };
+};
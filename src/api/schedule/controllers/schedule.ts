@@ -0,0 +1,17 @@
+/**
+ * schedule controller
+ */
+
+import type { Core } from '@strapi/strapi';
+
+const MAX_UPCOMING = 500;
+
+export default ({ strapi }: { strapi: Core.Strapi }) => ({
+  async upcoming(ctx) {
+    const limit = Math.min(Math.max(Number(ctx.query.limit) || 100, 1), MAX_UPCOMING);
+
+    const entries = await strapi.service('api::schedule.schedule').upcoming({ limit });
+
+    ctx.body = { data: entries, meta: { total: entries.length } };
+  },
+});
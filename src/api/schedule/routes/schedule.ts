@@ -0,0 +1,16 @@
+/**
+ * schedule router
+ *
+ * Not public: grant `schedule.upcoming` to the roles or API tokens of
+ * editorial tools.
+ */
+
+export default {
+  routes: [
+    {
+      method: 'GET',
+      path: '/schedule',
+      handler: 'schedule.upcoming',
+    },
+  ],
+};
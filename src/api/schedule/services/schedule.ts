@@ -0,0 +1,153 @@
+/**
+ * schedule service
+ *
+ * Scheduled publishing: entries with a `publish_at` / `unpublish_at` date
+ * are published / unpublished through the document service once the date
+ * has passed. The dates are stored on the draft of each entry, so pending
+ * actions survive restarts; each one is cleared once it has run.
+ */
+
+import type { Core } from '@strapi/strapi';
+
+type ScheduledAction = 'publish' | 'unpublish';
+
+export interface ScheduledEntry {
+  uid: string;
+  documentId: string;
+  title: string | null;
+  action: ScheduledAction;
+  at: string;
+}
+
+interface ScheduleRun {
+  startedAt: string;
+  published: string[];
+  unpublished: string[];
+  errors: Array<{ uid: string; documentId: string; action: ScheduledAction; error: string }>;
+}
+
+// Schedulable content types and their display field
+export const SCHEDULED_TYPES = {
+  'api::post.post': 'title',
+  'api::category.category': 'name',
+  'api::auther.auther': 'name',
+} as const;
+
+const DATE_FIELDS: Record<ScheduledAction, 'publish_at' | 'unpublish_at'> = {
+  publish: 'publish_at',
+  unpublish: 'unpublish_at',
+};
+
+export default ({ strapi }: { strapi: Core.Strapi }) => {
+  let running = false;
+
+  /**
+   * Drafts with a pending action, optionally only those due by a date
+   * Query engine rather than document service: scheduling is not site scoped.
+   */
+  const findScheduled = async (uid: string, action: ScheduledAction, dueBy?: Date) => {
+    const field = DATE_FIELDS[action];
+    return strapi.db.query(uid).findMany({
+      select: ['documentId', SCHEDULED_TYPES[uid], field],
+      where: {
+        publishedAt: null,
+        [field]: dueBy ? { $notNull: true, $lte: dueBy } : { $notNull: true },
+      },
+      orderBy: { [field]: 'asc' },
+    });
+  };
+
+  const isPublished = async (uid: string, documentId: string) =>
+    (await strapi.db.query(uid).count({ where: { documentId, publishedAt: { $notNull: true } } })) > 0;
+
+  return {
+    /**
+     * Run every due action
+     * The date is cleared on the draft before publishing so the published
+     * version does not carry it (and the draft is not shown as modified);
+     * it is put back when publishing fails, so the entry is retried.
+     * Errors are logged, never thrown: this runs from cron and at startup.
+     */
+    async run(now = new Date()): Promise<ScheduleRun | null> {
+      if (running) {
+        strapi.log.warn('[schedule] Previous run still in progress, skipping');
+        return null;
+      }
+      running = true;
+
+      const result: ScheduleRun = { startedAt: now.toISOString(), published: [], unpublished: [], errors: [] };
+
+      try {
+        for (const uid of Object.keys(SCHEDULED_TYPES)) {
+          const documents = strapi.documents(uid as any);
+
+          for (const { documentId, publish_at: publishAt } of await findScheduled(uid, 'publish', now)) {
+            try {
+              await documents.update({ documentId, data: { publish_at: null } as any });
+              try {
+                await documents.publish({ documentId });
+              } catch (error) {
+                await documents.update({ documentId, data: { publish_at: publishAt } as any });
+                throw error;
+              }
+              result.published.push(`${uid}:${documentId}`);
+            } catch (error) {
+              result.errors.push({ uid, documentId, action: 'publish', error: error.message });
+            }
+          }
+
+          for (const { documentId } of await findScheduled(uid, 'unpublish', now)) {
+            try {
+              if (await isPublished(uid, documentId)) {
+                await documents.unpublish({ documentId });
+              }
+              await documents.update({ documentId, data: { unpublish_at: null } as any });
+              result.unpublished.push(`${uid}:${documentId}`);
+            } catch (error) {
+              result.errors.push({ uid, documentId, action: 'unpublish', error: error.message });
+            }
+          }
+        }
+      } catch (error) {
+        strapi.log.error(`[schedule] Run failed: ${error.message}`);
+      } finally {
+        running = false;
+      }
+
+      if (result.published.length > 0 || result.unpublished.length > 0) {
+        strapi.log.info(
+          `[schedule] Published ${result.published.length}, unpublished ${result.unpublished.length} entries`
+        );
+      }
+      result.errors.forEach(({ uid, documentId, action, error }) =>
+        strapi.log.error(`[schedule] Could not ${action} ${uid} ${documentId}: ${error}`)
+      );
+
+      return result;
+    },
+
+    /**
+     * Pending actions of every schedulable content type, soonest first
+     */
+    async upcoming({ limit = 100 }: { limit?: number } = {}): Promise<ScheduledEntry[]> {
+      const entries: ScheduledEntry[] = [];
+
+      for (const uid of Object.keys(SCHEDULED_TYPES)) {
+        for (const action of Object.keys(DATE_FIELDS) as ScheduledAction[]) {
+          const field = DATE_FIELDS[action];
+          (await findScheduled(uid, action)).forEach((entry) =>
+            entries.push({
+              uid,
+              documentId: entry.documentId,
+              title: entry[SCHEDULED_TYPES[uid]] ?? null,
+              action,
+              at: new Date(entry[field]).toISOString(),
+            })
+          );
+        }
+      }
+
+      return entries.sort((a, b) => a.at.localeCompare(b.at)).slice(0, limit);
+    },
+  };
+};
@@ -0,0 +1,46 @@
+/**
+ * search controller
+ */
+
+import type { Core } from '@strapi/strapi';
+
+const POST_UID = 'api::post.post';
+const MAX_PAGE_SIZE = 50;
+
+export default ({ strapi }: { strapi: Core.Strapi }) => ({
+  async search(ctx) {
+    const service = strapi.service('api::search.search');
+    const query = typeof ctx.query.q === 'string' ? ctx.query.q.trim() : '';
+
+    if (!service.isSupported()) {
+      return ctx.notImplemented('Full-text search is not available for this database');
+    }
+
+    if (query.length < 2) {
+      return ctx.badRequest('Query parameter "q" must be at least 2 characters long');
+    }
+
+    const page = Math.max(Number(ctx.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(Number(ctx.query.pageSize) || 10, 1), MAX_PAGE_SIZE);
+
+    const { results, pagination } = await service.search(query, {
+      page,
+      pageSize,
+      siteId: ctx.state.site?.documentId,
+    });
+
+    // Apply the requester's field and relation permissions to every post
+    const model = strapi.getModel(POST_UID);
+    const data = await Promise.all(
+      results.map(async ({ search, ...post }) => ({
+        ...((await strapi.contentAPI.sanitize.output(post, model, { auth: ctx.state.auth })) as object),
+        search,
+      }))
+    );
+
+    ctx.body = {
+      data,
+      meta: { query, pagination },
+    };
+  },
+});
@@ -0,0 +1,13 @@
+/**
+ * search router
+ */
+
+export default {
+  routes: [
+    {
+      method: 'GET',
+      path: '/search',
+      handler: 'search.search',
+    },
+  ],
+};
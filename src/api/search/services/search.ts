@@ -0,0 +1,336 @@
+/**
+ * search service
+ *
+ * Full-text index of published posts: title, description and the text of
+ * every `content_blocks` component. Uses an FTS5 virtual table on SQLite and
+ * a weighted `tsvector` column on PostgreSQL, in a table managed outside of
+ * the Strapi schema.
+ */
+
+import type { Core } from '@strapi/strapi';
+import { contentBlocksToText } from '../../../utils/content-blocks';
+import { POST_POPULATE } from '../../post/services/post';
+
+const POST_UID = 'api::post.post';
+const SITE_UID = 'api::site.site';
+const INDEX_TABLE = 'posts_search';
+
+// Highlight markers, swapped for <mark> once the text has been HTML-escaped
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+interface IndexedPost {
+  documentId: string;
+  title: string;
+  description: string;
+  body: string;
+}
+
+interface Match {
+  documentId: string;
+  rank: number;
+  title: string;
+  snippet: string;
+}
+
+interface MatchQuery {
+  // Only match posts targeting this site (document ID)
+  siteId?: string;
+  limit: number;
+  offset: number;
+}
+
+const escapeHTML = (text: string) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const toHighlightHTML = (text: string | null) =>
+  escapeHTML(text ?? '').split(MARK_START).join('<mark>').split(MARK_END).join('</mark>');
+
+/**
+ * FTS5 query matching every term as a prefix, with user input quoted so it
+ * cannot use the query syntax
+ */
+const toFTS5Query = (query: string) =>
+  query
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((term) => `"${term.replace(/"/g, '""')}"*`)
+    .join(' ');
+
+export default ({ strapi }: { strapi: Core.Strapi }) => {
+  const knex = strapi.db.connection;
+  const client = strapi.db.dialect.client;
+  const schema = strapi.db.getSchemaName();
+  const table = schema ? `${schema}.${INDEX_TABLE}` : INDEX_TABLE;
+  const language = strapi.config.get('search.language', 'english');
+  const qualify = (name: string) => (schema ? `${schema}.${name}` : name);
+
+  /**
+   * Limit index matches to the published posts targeting a site
+   */
+  const scopeToSite = (builder, siteId?: string) => {
+    if (!siteId) {
+      return;
+    }
+
+    const posts = strapi.db.metadata.get(POST_UID);
+    const sites = strapi.db.metadata.get(SITE_UID);
+    const { joinTable } = posts.attributes.site as any;
+
+    builder.whereIn(
+      'document_id',
+      knex
+        .select('p.document_id')
+        .from({ p: qualify(posts.tableName) })
+        .join({ l: qualify(joinTable.name) }, `l.${joinTable.joinColumn.name}`, 'p.id')
+        .join({ s: qualify(sites.tableName) }, 's.id', `l.${joinTable.inverseJoinColumn.name}`)
+        .whereNotNull('p.published_at')
+        .where('s.document_id', siteId)
+    );
+  };
+
+  const dialects = {
+    sqlite: {
+      async createIndex() {
+        await knex.raw(
+          `CREATE VIRTUAL TABLE IF NOT EXISTS ${INDEX_TABLE} USING fts5(document_id UNINDEXED, title, description, body, tokenize = 'porter unicode61')`
+        );
+      },
+
+      async upsert(post: IndexedPost) {
+        await knex.raw(`DELETE FROM ${INDEX_TABLE} WHERE document_id = ?`, [post.documentId]);
+        await knex.raw(
+          `INSERT INTO ${INDEX_TABLE} (document_id, title, description, body) VALUES (?, ?, ?, ?)`,
+          [post.documentId, post.title, post.description, post.body]
+        );
+      },
+
+      /**
+       * One page of matches; highlights are only computed for the page
+       */
+      async search(query: string, { siteId, limit, offset }: MatchQuery): Promise<Match[]> {
+        const page = knex
+          .select('rowid')
+          .from(INDEX_TABLE)
+          .whereRaw(`${INDEX_TABLE} MATCH ?`, [toFTS5Query(query)])
+          .modify(scopeToSite, siteId)
+          // bm25 is lower for better matches; title weighs most
+          .orderByRaw(`bm25(${INDEX_TABLE}, 0, 10.0, 4.0, 1.0)`)
+          .limit(limit)
+          .offset(offset);
+
+        return knex.raw(
+          `SELECT document_id AS documentId,
+             -bm25(${INDEX_TABLE}, 0, 10.0, 4.0, 1.0) AS rank,
+             highlight(${INDEX_TABLE}, 1, ?, ?) AS title,
+             snippet(${INDEX_TABLE}, -1, ?, ?, '…', 24) AS snippet
+           FROM ${INDEX_TABLE}
+           WHERE ${INDEX_TABLE} MATCH ? AND rowid IN ?
+           ORDER BY rank DESC`,
+          [MARK_START, MARK_END, MARK_START, MARK_END, toFTS5Query(query), page]
+        );
+      },
+
+      async count(query: string, siteId?: string): Promise<number> {
+        const [{ count }] = await knex
+          .count({ count: '*' })
+          .from(INDEX_TABLE)
+          .whereRaw(`${INDEX_TABLE} MATCH ?`, [toFTS5Query(query)])
+          .modify(scopeToSite, siteId);
+        return Number(count);
+      },
+    },
+
+    postgres: {
+      async createIndex() {
+        await knex.raw(
+          `CREATE TABLE IF NOT EXISTS ${table} (
+             document_id varchar(255) PRIMARY KEY,
+             title text,
+             description text,
+             body text,
+             document tsvector
+           )`
+        );
+        await knex.raw(
+          `CREATE INDEX IF NOT EXISTS ${INDEX_TABLE}_document_idx ON ${table} USING GIN (document)`
+        );
+      },
+
+      async upsert(post: IndexedPost) {
+        await knex.raw(
+          `INSERT INTO ${table} (document_id, title, description, body, document)
+           VALUES (:documentId, :title, :description, :body,
+             setweight(to_tsvector(CAST(:language AS regconfig), :title), 'A') ||
+             setweight(to_tsvector(CAST(:language AS regconfig), :description), 'B') ||
+             setweight(to_tsvector(CAST(:language AS regconfig), :body), 'C'))
+           ON CONFLICT (document_id) DO UPDATE SET
+             title = EXCLUDED.title,
+             description = EXCLUDED.description,
+             body = EXCLUDED.body,
+             document = EXCLUDED.document`,
+          { ...post, language }
+        );
+      },
+
+      /**
+       * One page of matches; highlights are only computed for the page
+       */
+      async search(query: string, { siteId, limit, offset }: MatchQuery): Promise<Match[]> {
+        const options = `StartSel=${MARK_START}, StopSel=${MARK_END}`;
+        const page = knex
+          .select('document_id', 'title', 'description', 'body', 'query')
+          .select(knex.raw('ts_rank(document, query) AS rank'))
+          .from(knex.raw(`${table}, websearch_to_tsquery(CAST(? AS regconfig), ?) query`, [language, query]))
+          .whereRaw('document @@ query')
+          .modify(scopeToSite, siteId)
+          .orderBy('rank', 'desc')
+          .limit(limit)
+          .offset(offset);
+
+        const { rows } = await knex.raw(
+          `SELECT document_id AS "documentId",
+             rank,
+             ts_headline(CAST(:language AS regconfig), title, query, :titleOptions) AS title,
+             ts_headline(CAST(:language AS regconfig), description || ' ' || body, query, :snippetOptions) AS snippet
+           FROM :page page
+           ORDER BY rank DESC`,
+          {
+            language,
+            page,
+            titleOptions: `${options}, HighlightAll=true`,
+            snippetOptions: `${options}, MaxWords=35, MinWords=15`,
+          }
+        );
+        return rows;
+      },
+
+      async count(query: string, siteId?: string): Promise<number> {
+        const [{ count }] = await knex
+          .count({ count: '*' })
+          .from(knex.raw(`${table}, websearch_to_tsquery(CAST(? AS regconfig), ?) query`, [language, query]))
+          .whereRaw('document @@ query')
+          .modify(scopeToSite, siteId);
+        return Number(count);
+      },
+    },
+  };
+
+  const getDialect = () => {
+    const dialect = dialects[client];
+    if (!dialect) {
+      throw new Error(`Full-text search is not supported for database client: ${client}`);
+    }
+    return dialect;
+  };
+
+  return {
+    isSupported() {
+      return Boolean(dialects[client]);
+    },
+
+    /**
+     * Create the index table, building it from all published posts when new
+     */
+    async ensureIndex() {
+      if (!this.isSupported()) {
+        strapi.log.warn(`[search] Full-text search is not supported for ${client}, skipping index`);
+        return;
+      }
+
+      const exists = await knex.schema.withSchema(schema).hasTable(INDEX_TABLE);
+      await getDialect().createIndex();
+
+      if (!exists) {
+        const count = await this.rebuild();
+        strapi.log.info(`[search] Built search index for ${count} posts`);
+      }
+    },
+
+    /**
+     * Re-index every published post
+     */
+    async rebuild() {
+      await knex.raw(`DELETE FROM ${table}`);
+
+      const posts = await strapi.db.query(POST_UID).findMany({
+        select: ['documentId'],
+        where: { publishedAt: { $notNull: true } },
+      });
+      for (const post of posts) {
+        await this.indexDocument(post.documentId);
+      }
+      return posts.length;
+    },
+
+    /**
+     * Sync one post with the index: its published version is indexed, posts
+     * without one (draft only, unpublished, deleted) are removed
+     */
+    async indexDocument(documentId: string) {
+      if (!this.isSupported()) {
+        return;
+      }
+
+      // Query engine rather than document service: indexing must not be site scoped
+      const post = await strapi.db.query(POST_UID).findOne({
+        where: { documentId, publishedAt: { $notNull: true } },
+        populate: { content_blocks: POST_POPULATE.content_blocks },
+      });
+
+      if (!post) {
+        await knex.raw(`DELETE FROM ${table} WHERE document_id = ?`, [documentId]);
+        return;
+      }
+
+      await getDialect().upsert({
+        documentId,
+        title: post.title ?? '',
+        description: post.description ?? '',
+        body: contentBlocksToText(post.content_blocks as any),
+      });
+    },
+
+    /**
+     * Ranked posts matching the query, with highlighted title and snippet
+     * Matches are limited to the site's posts and paginated in the index
+     * query; the page's posts are then read through the document service.
+     */
+    async search(query: string, { page = 1, pageSize = 10, siteId }: { page?: number; pageSize?: number; siteId?: string } = {}) {
+      const dialect = getDialect();
+      const total = await dialect.count(query, siteId);
+      const matches = total > 0
+        ? await dialect.search(query, { siteId, limit: pageSize, offset: (page - 1) * pageSize })
+        : [];
+
+      const posts = await strapi.documents(POST_UID).findMany({
+        status: 'published',
+        filters: { documentId: { $in: matches.map((match) => match.documentId) } },
+        fields: ['title', 'slug', 'description', 'publishedAt'],
+        populate: { featured_image: true, category: { fields: ['name', 'slug'] } },
+      });
+      const postsById = new Map(posts.map((post) => [post.documentId, post]));
+
+      const results = matches
+        .filter((match) => postsById.has(match.documentId))
+        .map((match) => ({
+          ...postsById.get(match.documentId),
+          search: {
+            rank: Number(match.rank),
+            title: toHighlightHTML(match.title),
+            snippet: toHighlightHTML(match.snippet),
+          },
+        }));
+
+      return {
+        results,
+        pagination: {
+          page,
+          pageSize,
+          pageCount: Math.ceil(total / pageSize),
+          total,
+        },
+      };
+    },
+  };
+};
@@ -0,0 +1,108 @@
+/**
+ * seo service
+ *
+ * Ready-to-use metadata (`seo_meta`) of posts and categories, see
+ * src/utils/seo.ts for the fallbacks. Entries are sanitized for the
+ * requesting user first, so relations they cannot read (author, category,
+ * site) are left out of the metadata.
+ */
+
+import type { Core } from '@strapi/strapi';
+import { categorySeoMeta, postSeoMeta, type SeoMeta } from '../../../utils/seo';
+
+type Status = 'draft' | 'published';
+
+interface MetaOptions {
+  status?: Status;
+  site?: { documentId: string } | null;
+  // `ctx.state.auth` of the request
+  auth?: unknown;
+}
+
+const SEO_POPULATE = { populate: { og_image: true } };
+
+const SITE_POPULATE = { seo: SEO_POPULATE, default_og_image: true };
+
+export default ({ strapi }: { strapi: Core.Strapi }) => {
+  const siteService = () => strapi.service('api::site.site');
+  const resolveUrl = (url: string) => strapi.service('api::post.post').resolveMediaUrl(url);
+
+  const sanitize = async (entry, uid: string, auth: unknown): Promise<any> =>
+    entry && strapi.contentAPI.sanitize.output(entry, strapi.getModel(uid as any), { auth });
+
+  return {
+    /**
+     * Metadata of posts, by document ID
+     * Posts are described for the requested site when they target it, or
+     * else for their first site.
+     */
+    async postMeta(documentIds: string[], { status = 'published', site, auth }: MetaOptions = {}) {
+      const entries = await strapi.documents('api::post.post').findMany({
+        status,
+        filters: { documentId: { $in: documentIds } },
+        populate: {
+          seo: SEO_POPULATE,
+          featured_image: true,
+          auther: { populate: { avatar: true } },
+          category: true,
+          site: { populate: SITE_POPULATE },
+        },
+      });
+      const posts = await Promise.all(entries.map((post) => sanitize(post, 'api::post.post', auth)));
+
+      return new Map<string, SeoMeta>(
+        posts.map((post) => {
+          const sites = post.site ?? [];
+          const postSite =
+            sites.find((candidate) => candidate.documentId === site?.documentId) ?? sites[0] ?? null;
+
+          return [
+            post.documentId,
+            postSeoMeta(post, {
+              url: post.slug
+                ? siteService().getEntryUrl(postSite, 'post', post.slug)
+                : siteService().getFrontendUrl(postSite),
+              siteUrl: siteService().getFrontendUrl(postSite),
+              site: postSite,
+              resolveUrl,
+            }),
+          ];
+        })
+      );
+    },
+
+    /**
+     * Metadata of categories, by document ID, for the requested site if any
+     */
+    async categoryMeta(documentIds: string[], { status = 'published', site, auth }: MetaOptions = {}) {
+      const [entries, siteEntry] = await Promise.all([
+        strapi.documents('api::category.category').findMany({
+          status,
+          filters: { documentId: { $in: documentIds } },
+          populate: { seo: SEO_POPULATE },
+        }),
+        site
+          ? strapi.documents('api::site.site').findOne({ documentId: site.documentId, populate: SITE_POPULATE })
+          : null,
+      ]);
+      const [categorySite, ...categories] = await Promise.all([
+        sanitize(siteEntry, 'api::site.site', auth),
+        ...entries.map((category) => sanitize(category, 'api::category.category', auth)),
+      ]);
+
+      return new Map<string, SeoMeta>(
+        categories.map((category) => [
+          category.documentId,
+          categorySeoMeta(category, {
+            url: category.slug
+              ? siteService().getEntryUrl(categorySite, 'category', category.slug)
+              : siteService().getFrontendUrl(categorySite),
+            siteUrl: siteService().getFrontendUrl(categorySite),
+            site: categorySite,
+            resolveUrl,
+          }),
+        ])
+      );
+    },
+  };
+};
@@ -4,4 +4,86 @@
 
 import { factories } from '@strapi/strapi';
 
-export default factories.createCoreService('api::site.site');
+// Bounds the lookup cache, which is also filled by unknown keys and hostnames
+const MAX_CACHED_LOOKUPS = 1000;
+
+export default factories.createCoreService('api::site.site', ({ strapi }) => {
+  // Site (or null) per `key:<key>` / `host:<hostname>`, cleared when a site is published
+  const lookups = new Map<string, Promise<any>>();
+
+  return {
+    /**
+     * Find the published site matching an explicit key (site name or domain)
+     * or, without one, the request hostname
+     * Lookups are cached in memory until `clearCache()`, as this runs on every
+     * content API request.
+     */
+    async resolve({ key, hostname }: { key?: string; hostname?: string }) {
+      if (!key && !hostname) {
+        return null;
+      }
+
+      const cacheKey = key ? `key:${key}` : `host:${hostname.toLowerCase()}`;
+      if (!lookups.has(cacheKey)) {
+        if (lookups.size >= MAX_CACHED_LOOKUPS) {
+          lookups.clear();
+        }
+
+        const filters = key
+          ? { $or: [{ site: key }, { domain: key.toLowerCase() }] }
+          : { domain: hostname.toLowerCase() };
+        const lookup = strapi.documents('api::site.site').findFirst({
+          filters,
+          status: 'published',
+          populate: { categories: { fields: ['slug'] } },
+        });
+
+        // Failed lookups are retried on the next request
+        lookups.set(cacheKey, lookup);
+        lookup.catch(() => lookups.delete(cacheKey));
+      }
+
+      return lookups.get(cacheKey);
+    },
+
+    /**
+     * Forget the cached site lookups (after a site is published, unpublished or deleted)
+     */
+    clearCache() {
+      lookups.clear();
+    },
+
+    /**
+     * Base URL of a site's frontend: its domain, or the default frontend URL
+     */
+    getFrontendUrl(site?: { domain?: string | null } | null) {
+      const url = site?.domain ? `https://${site.domain}` : strapi.config.get('frontend.url', '');
+      return (url ?? '').replace(/\/$/, '');
+    },
+
+    /**
+     * Frontend URL of a post or category
+     */
+    getEntryUrl(site: { domain?: string | null } | null | undefined, type: 'post' | 'category', slug: string) {
+      const path = strapi.config.get(`frontend.${type}Path`) as string;
+      return `${this.getFrontendUrl(site)}${path.replace(':slug', encodeURIComponent(slug))}`;
+    },
+
+    /**
+     * Filters restricting a content type to what a site may show
+     * Posts must target the site; categories must be allowed by the site when
+     * it limits them. Other content types are not scoped.
+     */
+    scopeFilters(uid: string, site: { documentId: string; categories?: { documentId: string }[] }) {
+      if (uid === 'api::post.post') {
+        return { site: { documentId: site.documentId } };
+      }
+
+      if (uid === 'api::category.category' && site.categories?.length > 0) {
+        return { documentId: { $in: site.categories.map((category) => category.documentId) } };
+      }
+
+      return null;
+    },
+  };
+});
@@ -0,0 +1,73 @@
+/**
+ * sitemap controller
+ */
+
+import type { Core } from '@strapi/strapi';
+
+export default ({ strapi }: { strapi: Core.Strapi }) => {
+  /**
+   * Site from the `site` query parameter, or the one resolved from the request
+   * @returns undefined when the requested site does not exist
+   */
+  const getSite = async (ctx) => {
+    const { site: siteKey } = ctx.query;
+    if (typeof siteKey === 'string' && siteKey) {
+      return (await strapi.service('api::site.site').resolve({ key: siteKey })) ?? undefined;
+    }
+    return ctx.state.site ?? null;
+  };
+
+  /**
+   * Query string selecting the same site on linked sitemap URLs
+   */
+  const siteQuery = (site) => (site ? `?site=${encodeURIComponent(site.site)}` : '');
+
+  return {
+    async index(ctx) {
+      const site = await getSite(ctx);
+      if (site === undefined) {
+        return ctx.notFound(`Unknown site: ${ctx.query.site}`);
+      }
+
+      ctx.body = await strapi
+        .service('api::sitemap.sitemap')
+        .index(`${ctx.origin}/api/sitemaps`, siteQuery(site), site);
+      ctx.type = 'application/xml; charset=utf-8';
+    },
+
+    async page(ctx) {
+      const service = strapi.service('api::sitemap.sitemap');
+      const { type } = ctx.params;
+      const page = Number(ctx.params.page);
+
+      const site = await getSite(ctx);
+      if (site === undefined) {
+        return ctx.notFound(`Unknown site: ${ctx.query.site}`);
+      }
+
+      if (!service.isSitemapType(type) || !Number.isInteger(page) || page < 1) {
+        return ctx.notFound('Sitemap not found');
+      }
+
+      const sitemap = await service.page(type, page, site);
+      if (!sitemap) {
+        return ctx.notFound('Sitemap not found');
+      }
+
+      ctx.body = sitemap;
+      ctx.type = 'application/xml; charset=utf-8';
+    },
+
+    async robots(ctx) {
+      const site = await getSite(ctx);
+      if (site === undefined) {
+        return ctx.notFound(`Unknown site: ${ctx.query.site}`);
+      }
+
+      ctx.body = await strapi
+        .service('api::sitemap.sitemap')
+        .robots(`${ctx.origin}/api/sitemap.xml${siteQuery(site)}`);
+      ctx.type = 'text/plain; charset=utf-8';
+    },
+  };
+};
@@ -0,0 +1,28 @@
+/**
+ * sitemap router
+ *
+ * Public: crawlers cannot send API tokens.
+ */
+
+export default {
+  routes: [
+    {
+      method: 'GET',
+      path: '/sitemap.xml',
+      handler: 'sitemap.index',
+      config: { auth: false },
+    },
+    {
+      method: 'GET',
+      path: '/sitemaps/:type/:page.xml',
+      handler: 'sitemap.page',
+      config: { auth: false },
+    },
+    {
+      method: 'GET',
+      path: '/robots.txt',
+      handler: 'sitemap.robots',
+      config: { auth: false },
+    },
+  ],
+};
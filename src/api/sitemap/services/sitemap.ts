@@ -0,0 +1,134 @@
+/**
+ * sitemap service
+ *
+ * Sitemaps of published posts and categories for one site (or for the
+ * default frontend), split into pages referenced from a sitemap index.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import type { Core } from '@strapi/strapi';
+import { escapeXML } from '../../../utils/xml';
+
+// URLs per sitemap page (the protocol allows up to 50,000)
+const PAGE_SIZE = 5000;
+
+const SITEMAP_TYPES = {
+  posts: { uid: 'api::post.post', entryType: 'post' },
+  categories: { uid: 'api::category.category', entryType: 'category' },
+} as const;
+
+export type SitemapType = keyof typeof SITEMAP_TYPES;
+
+export default ({ strapi }: { strapi: Core.Strapi }) => {
+  /**
+   * Filters for the entries of a type shown on a site
+   */
+  const getFilters = (type: SitemapType, site?: any) => {
+    if (!site) {
+      return {};
+    }
+    return strapi.service('api::site.site').scopeFilters(SITEMAP_TYPES[type].uid, site) ?? {};
+  };
+
+  return {
+    isSitemapType(type: string): type is SitemapType {
+      return type in SITEMAP_TYPES;
+    },
+
+    /**
+     * Sitemap index listing every page of every type
+     * @param baseUrl - URL the sitemap pages are served from
+     */
+    async index(baseUrl: string, query: string, site?: any) {
+      const sitemaps = [];
+
+      for (const type of Object.keys(SITEMAP_TYPES) as SitemapType[]) {
+        const documents = strapi.documents(SITEMAP_TYPES[type].uid);
+        const filters = getFilters(type, site);
+        const count = await documents.count({ status: 'published', filters });
+        const [latest] = await documents.findMany({
+          status: 'published',
+          filters,
+          fields: ['updatedAt'],
+          sort: { updatedAt: 'desc' },
+          limit: 1,
+        });
+
+        for (let page = 1; page <= Math.ceil(count / PAGE_SIZE); page += 1) {
+          sitemaps.push({
+            loc: `${baseUrl}/${type}/${page}.xml${query}`,
+            lastmod: latest?.updatedAt,
+          });
+        }
+      }
+
+      const entries = sitemaps.map(
+        (sitemap) => `  <sitemap>
+    <loc>${escapeXML(sitemap.loc)}</loc>${
+      sitemap.lastmod ? `\n    <lastmod>${new Date(sitemap.lastmod).toISOString()}</lastmod>` : ''
+    }
+  </sitemap>`
+      );
+
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('\n')}
+</sitemapindex>
+`;
+    },
+
+    /**
+     * One page of URLs of a type
+     * @returns null for pages past the last one
+     */
+    async page(type: SitemapType, page: number, site?: any) {
+      const { uid, entryType } = SITEMAP_TYPES[type];
+      const entries: any[] = await strapi.documents(uid).findMany({
+        status: 'published',
+        filters: getFilters(type, site),
+        fields: ['slug', 'updatedAt'],
+        sort: { id: 'asc' },
+        start: (page - 1) * PAGE_SIZE,
+        limit: PAGE_SIZE,
+      });
+
+      if (entries.length === 0 && page > 1) {
+        return null;
+      }
+
+      const siteService = strapi.service('api::site.site');
+      const urls = entries
+        .filter((entry) => entry.slug)
+        .map(
+          (entry) => `  <url>
+    <loc>${escapeXML(siteService.getEntryUrl(site, entryType, entry.slug))}</loc>
+    <lastmod>${new Date(entry.updatedAt).toISOString()}</lastmod>
+  </url>`
+        );
+
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+    },
+
+    /**
+     * public/robots.txt with a `Sitemap:` line for the given sitemap index
+     */
+    async robots(sitemapUrl: string) {
+      const robotsPath = path.join(strapi.dirs.static.public, 'robots.txt');
+      const robots = fs.existsSync(robotsPath)
+        ? await fs.promises.readFile(robotsPath, 'utf8')
+        : '';
+
+      const lines = robots.split('\n').filter((line) => !/^sitemap:/i.test(line.trim()));
+      while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+        lines.pop();
+      }
+
+      return `${[...lines, '', `Sitemap: ${sitemapUrl}`].join('\n').trimStart()}\n`;
+    },
+  };
+};
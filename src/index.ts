@@ -1,4 +1,12 @@
-// import type { Core } from '@strapi/strapi';
+import type { Core } from '@strapi/strapi';
+import { errors } from '@strapi/utils';
+import { normalizeAttributes } from './utils/components';
+import { BUILD_TYPES } from './api/build-hook/services/build-hook';
+
+const SCOPED_ACTIONS = ['findMany', 'findFirst', 'findOne', 'count'];
+const INDEXED_ACTIONS = ['create', 'update', 'delete', 'publish', 'unpublish', 'discardDraft'];
+const PUBLICATION_ACTIONS = ['publish', 'unpublish', 'delete'];
+const WRITE_ACTIONS = ['create', 'update'];
 
 export default {
   /**
@@ -7,7 +15,138 @@ export default {
    *
    * This gives you an opportunity to extend code.
    */
-  register(/* { strapi }: { strapi: Core.Strapi } */) {},
+  register({ strapi }: { strapi: Core.Strapi }) {
+    // Limit content API reads to the site resolved by the site-scope middleware
+    strapi.documents.use(async (context, next) => {
+      const site = strapi.requestContext.get()?.state?.site;
+
+      if (site && SCOPED_ACTIONS.includes(context.action)) {
+        const scope = strapi.service('api::site.site').scopeFilters(context.uid, site);
+        if (scope) {
+          const params = context.params as { filters?: Record<string, unknown> };
+          params.filters = params.filters ? { $and: [params.filters, scope] } : scope;
+        }
+      }
+
+      return next();
+    });
+
+    // Validate and normalize components (e.g. table HTML) before they are saved
+    strapi.documents.use(async (context, next) => {
+      const params = context.params as { data?: Record<string, unknown> };
+
+      if (WRITE_ACTIONS.includes(context.action) && params.data) {
+        params.data = normalizeAttributes(strapi, strapi.getModel(context.uid), params.data);
+      }
+
+      return next();
+    });
+
+    // Reject schedules that would unpublish an entry before publishing it
+    strapi.documents.use(async (context, next) => {
+      const params = context.params as { data?: Record<string, unknown> };
+      const { publish_at: publishAt, unpublish_at: unpublishAt } = (params.data ?? {}) as Record<string, any>;
+
+      if (
+        WRITE_ACTIONS.includes(context.action) &&
+        publishAt &&
+        unpublishAt &&
+        new Date(unpublishAt).getTime() <= new Date(publishAt).getTime()
+      ) {
+        const message = 'Unpublish date must be after the publish date';
+        throw new errors.ValidationError(message, {
+          errors: [{ path: ['unpublish_at'], message, name: 'ValidationError', value: unpublishAt }],
+        });
+      }
+
+      return next();
+    });
+
+    // Store reading stats of posts whenever their content changes
+    strapi.documents.use(async (context, next) => {
+      const params = context.params as { data?: Record<string, unknown> };
+
+      if (
+        context.uid === 'api::post.post' &&
+        WRITE_ACTIONS.includes(context.action) &&
+        params.data?.content_blocks !== undefined
+      ) {
+        Object.assign(
+          params.data,
+          strapi.service('api::post.post').computeReadingStats(params.data.content_blocks)
+        );
+      }
+
+      return next();
+    });
+
+    // Keep the search index, related posts, site lookups and response cache in sync with published content
+    strapi.documents.use(async (context, next) => {
+      const result = await next();
+
+      const publishes =
+        PUBLICATION_ACTIONS.includes(context.action) ||
+        (context.params as { status?: string }).status === 'published';
+      if (context.uid === 'api::post.post' && publishes) {
+        strapi.service('api::post.post').clearRelatedCache();
+      }
+      if (context.uid === 'api::site.site' && publishes) {
+        strapi.service('api::site.site').clearCache();
+      }
+      if (publishes) {
+        const documentId =
+          (context.params as { documentId?: string }).documentId ?? (result as any)?.documentId;
+        await strapi.service('api::cache.cache').purgeEntry(context.uid, documentId);
+      }
+
+      if (context.uid === 'api::post.post' && INDEXED_ACTIONS.includes(context.action)) {
+        const documentId =
+          (context.params as { documentId?: string }).documentId ?? (result as any)?.documentId;
+        try {
+          await strapi.service('api::search.search').indexDocument(documentId);
+        } catch (error) {
+          strapi.log.error(`[search] Could not index post ${documentId}: ${error.message}`);
+        }
+      }
+
+      return result;
+    });
+
+    // Rebuild the static frontends of the sites showing a published change
+    strapi.documents.use(async (context, next) => {
+      const params = context.params as { documentId?: string; status?: string };
+      const publishes = PUBLICATION_ACTIONS.includes(context.action) || params.status === 'published';
+
+      if (!BUILD_TYPES.includes(context.uid) || !publishes) {
+        return next();
+      }
+
+      const buildHooks = strapi.service('api::build-hook.build-hook');
+      const findSites = async (documentId?: string) => {
+        try {
+          return documentId ? await buildHooks.findAffectedSites(context.uid, documentId) : [];
+        } catch (error) {
+          strapi.log.error(`[build-hook] Could not resolve the sites of ${documentId}: ${error.message}`);
+          return [];
+        }
+      };
+
+      // Sites showing the entry before the change (the only ones left after a delete)...
+      const before = await findSites(params.documentId);
+      const result = await next();
+      // ...and after it, e.g. when a post moved to another site
+      const documentId = params.documentId ?? (result as any)?.documentId;
+      const after = context.action === 'delete' ? [] : await findSites(documentId);
+
+      buildHooks.queue([...before, ...after], {
+        event: `entry.${PUBLICATION_ACTIONS.includes(context.action) ? context.action : 'publish'}`,
+        uid: context.uid,
+        documentId,
+      });
+
+      return result;
+    });
+  },
 
   /**
    * An asynchronous bootstrap function that runs before
@@ -16,5 +155,45 @@ export default {
    * This gives you an opportunity to set up your data model,
    * run jobs, or perform some special logic.
    */
-  bootstrap(/* { strapi }: { strapi: Core.Strapi } */) {},
+  async bootstrap({ strapi }: { strapi: Core.Strapi }) {
+    await strapi.service('api::search.search').ensureIndex();
+
+    const backup = strapi.config.get('backup') as { enabled: boolean; schedule: string };
+
+    if (backup?.enabled) {
+      strapi.cron.add({
+        databaseBackup: {
+          task: () => strapi.service('api::backup.backup').run(),
+          options: { rule: backup.schedule },
+        },
+      });
+      strapi.log.info(`[backup] Scheduled database backups: ${backup.schedule}`);
+    }
+
+    const schedule = strapi.config.get('schedule') as { enabled: boolean; rule: string };
+
+    if (schedule?.enabled) {
+      strapi.cron.add({
+        scheduledPublishing: {
+          task: () => strapi.service('api::schedule.schedule').run(),
+          options: { rule: schedule.rule },
+        },
+      });
+      // Catch up on whatever came due while the server was down, without delaying startup
+      strapi
+        .service('api::schedule.schedule')
+        .run()
+        .catch((error) => strapi.log.error(`[schedule] Catch-up run failed: ${error.message}`));
+      strapi.log.info(`[schedule] Scheduled publishing: ${schedule.rule}`);
+    }
+  },
+
+  /**
+   * An asynchronous destroy function that runs before
+   * your application gets shut down.
+   */
+  async destroy({ strapi }: { strapi: Core.Strapi }) {
+    // Send the changes still waiting for their build hook batch
+    await strapi.service('api::build-hook.build-hook').flush();
+  },
 };
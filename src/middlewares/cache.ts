@@ -0,0 +1,121 @@
+/**
+ * cache middleware
+ *
+ * Serves repeated content API reads from the response cache (see the cache
+ * service) and sets `ETag`, `Cache-Control` and `Surrogate-Key` headers.
+ * Conditional requests matching the ETag get a `304`. Responses are cached
+ * per URL and site. Only anonymous requests are cached: a hit skips the
+ * router, so requests with an `Authorization` header always go through its
+ * auth and policies. Preview requests and responses marked private are never
+ * cached.
+ */
+
+import crypto from 'crypto';
+import type { Core } from '@strapi/strapi';
+
+// Cached endpoints, with their content type and the other content they show
+const ROUTES = [
+  { pattern: /^\/api\/posts(\/|$)/, type: 'post', shows: ['category', 'auther'] },
+  { pattern: /^\/api\/categories(\/|$)/, type: 'category', shows: [] },
+  { pattern: /^\/api\/authers(\/|$)/, type: 'auther', shows: [] },
+  { pattern: /^\/api\/sites(\/|$)/, type: 'site', shows: ['category'] },
+  { pattern: /^\/api\/feeds\//, type: 'post', shows: ['category', 'auther'] },
+  { pattern: /^\/api\/(sitemap\.xml|sitemaps\/|robots\.txt)/, type: 'post', shows: ['category'] },
+  { pattern: /^\/api\/search(\/|$)/, type: 'post', shows: [] },
+];
+
+// Strings and JSON; buffers and streams are left alone
+const isSerializable = (body: unknown) =>
+  typeof body === 'string' ||
+  (body !== null &&
+    typeof body === 'object' &&
+    !Buffer.isBuffer(body) &&
+    typeof (body as { pipe?: unknown }).pipe !== 'function');
+
+const hash = (value: string) => crypto.createHash('sha1').update(value).digest('base64url');
+
+/**
+ * Surrogate keys of a response: the document it shows (or its content type
+ * for lists), the content it may populate, and the site, which scopes
+ * everything
+ */
+const getTags = (route: (typeof ROUTES)[number], body: unknown) => {
+  const data = (body as { data?: unknown })?.data;
+  const documentId =
+    data && typeof data === 'object' && !Array.isArray(data)
+      ? (data as { documentId?: string }).documentId
+      : null;
+
+  return [...new Set([documentId ?? route.type, ...route.shows, 'site'])];
+};
+
+export default (config, { strapi }: { strapi: Core.Strapi }) => {
+  return async (ctx, next) => {
+    const cache = strapi.service('api::cache.cache');
+    const route = ctx.method === 'GET' && ROUTES.find(({ pattern }) => pattern.test(ctx.path));
+    if (!route || !cache.isEnabled() || ctx.state.preview || ctx.get('authorization')) {
+      return next();
+    }
+
+    const { maxAge, sMaxAge } = cache.getConfig();
+    const key = hash([ctx.state.site?.documentId ?? '', ctx.url].join('\n'));
+    const cacheControl = `public, max-age=${maxAge}, s-maxage=${sMaxAge}`;
+
+    const respond = (entry: { etag: string; tags: string[] }, hit: boolean) => {
+      ctx.etag = entry.etag;
+      ctx.set('Surrogate-Key', entry.tags.join(' '));
+      ctx.set('X-Cache', hit ? 'HIT' : 'MISS');
+      if (ctx.fresh) {
+        ctx.status = 304;
+      }
+    };
+
+    let cached = null;
+    try {
+      cached = await cache.get(key);
+    } catch (error) {
+      strapi.log.warn(`[cache] Lookup failed, serving uncached: ${error.message}`);
+    }
+
+    if (cached) {
+      ctx.status = cached.status;
+      ctx.body = cached.body;
+      ctx.type = cached.type;
+      ctx.set('Cache-Control', cacheControl);
+      respond(cached, true);
+      return;
+    }
+
+    await next();
+
+    const existingCacheControl = ctx.response.get('Cache-Control');
+    const cacheable =
+      ctx.status === 200 &&
+      !ctx.response.get('Set-Cookie') &&
+      !/private|no-store/.test(existingCacheControl) &&
+      isSerializable(ctx.body);
+    if (!cacheable) {
+      return;
+    }
+
+    const body = typeof ctx.body === 'string' ? ctx.body : JSON.stringify(ctx.body);
+    const entry = {
+      status: ctx.status,
+      type: ctx.response.get('Content-Type'),
+      body,
+      etag: `"${hash(body)}"`,
+      tags: getTags(route, ctx.body),
+    };
+
+    try {
+      await cache.set(key, entry);
+    } catch (error) {
+      strapi.log.warn(`[cache] Could not store ${ctx.path}: ${error.message}`);
+    }
+
+    if (!existingCacheControl) {
+      ctx.set('Cache-Control', cacheControl);
+    }
+    respond(entry, false);
+  };
+};
@@ -0,0 +1,59 @@
+/**
+ * preview middleware
+ *
+ * Draft versions of posts, categories and authors are only readable with a
+ * preview token (`X-Preview-Token` header or `preview` query parameter) for
+ * the requested document: the request is then limited to that document and
+ * reads its draft. Anonymous requests without a token have `status` dropped
+ * so only published versions are returned; requests with an API token or
+ * user JWT (`Authorization`) keep it and are checked by Strapi's auth.
+ */
+
+import type { Core } from '@strapi/strapi';
+
+const ENDPOINTS = [
+  { pattern: /^\/api\/posts(\/|$)/, uid: 'api::post.post' },
+  { pattern: /^\/api\/categories(\/|$)/, uid: 'api::category.category' },
+  { pattern: /^\/api\/authers(\/|$)/, uid: 'api::auther.auther' },
+];
+
+export default (config, { strapi }: { strapi: Core.Strapi }) => {
+  return async (ctx, next) => {
+    const endpoint = ctx.method === 'GET' && ENDPOINTS.find(({ pattern }) => pattern.test(ctx.path));
+    if (!endpoint) {
+      return next();
+    }
+
+    const { preview: queryToken, status, ...query } = ctx.query;
+    const token = ctx.get('x-preview-token') || queryToken;
+
+    if (!token) {
+      if (status !== undefined && !ctx.get('authorization')) {
+        ctx.query = query;
+      }
+      return next();
+    }
+
+    const preview = strapi.service('api::preview.preview').verifyToken(token);
+    if (!preview) {
+      return ctx.unauthorized('Invalid or expired preview token');
+    }
+    if (preview.uid !== endpoint.uid) {
+      return ctx.forbidden('Preview token is for another content type');
+    }
+
+    const scope = { documentId: preview.documentId };
+    ctx.state.preview = preview;
+    ctx.query = {
+      ...query,
+      status: 'draft',
+      filters: query.filters ? { $and: [query.filters, scope] } : scope,
+    };
+
+    // Drafts must never end up in a shared cache
+    ctx.set('Cache-Control', 'private, no-store');
+    ctx.vary('x-preview-token');
+
+    return next();
+  };
+};
@@ -0,0 +1,38 @@
+/**
+ * site-scope middleware
+ *
+ * Resolves the site a content API request is made for, from the configured
+ * header (site name or domain) or from the request hostname, and stores it
+ * in `ctx.state.site`. Reads through the document service are then limited
+ * to that site's content (see `register` in src/index.ts).
+ */
+
+import type { Core } from '@strapi/strapi';
+
+export default (config: { header?: string; useHost?: boolean }, { strapi }: { strapi: Core.Strapi }) => {
+  const header = (config.header || 'x-site').toLowerCase();
+  const useHost = config.useHost !== false;
+
+  return async (ctx, next) => {
+    if (!ctx.path.startsWith('/api/')) {
+      return next();
+    }
+
+    const key = ctx.get(header);
+    const site = await strapi
+      .service('api::site.site')
+      .resolve({ key: key || undefined, hostname: useHost ? ctx.hostname : undefined });
+
+    if (key && !site) {
+      return ctx.notFound(`Unknown site: ${key}`);
+    }
+
+    if (site) {
+      ctx.state.site = site;
+      ctx.set('X-Site', site.site);
+      ctx.vary(header);
+    }
+
+    return next();
+  };
+};
@@ -4,7 +4,11 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { promisify } = require('util');
+const { execFile, execFileSync } = require('child_process');
 
 class BackupHelper {
   /**
@@ -17,37 +21,98 @@ class BackupHelper {
 
   /**
    * Backup SQLite database
+   * Uses SQLite's online backup API, which gives a consistent copy even while
+   * Strapi is writing to the database (WAL mode included)
    */
-  static backupSQLite(dbPath, backupDir) {
+  static async backupSQLite(dbPath, backupDir) {
+    const Database = require('better-sqlite3');
     const timestamp = this.getTimestamp();
     const backupPath = path.join(backupDir, `data.db.backup-${timestamp}`);
 
-    fs.copyFileSync(dbPath, backupPath);
+    const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+    try {
+      await db.backup(backupPath);
+    } finally {
+      db.close();
+    }
 
     return backupPath;
   }
 
+  /**
+   * Split a PostgreSQL connection into a URL without the password and the
+   * password, which is passed to pg_dump/psql through `PGPASSWORD` so it
+   * never shows up in the process list
+   * @param {string|Object} connection - Connection string, or Strapi's
+   *   `database.connection.connection` (connectionString or host/port/user/database)
+   */
+  static pgConnection(connection) {
+    let url;
+    let password;
+
+    if (typeof connection === 'string' || connection.connectionString) {
+      url = new URL(connection.connectionString || connection);
+      password = decodeURIComponent(url.password);
+      url.password = '';
+    } else {
+      url = new URL('postgresql://localhost');
+      url.hostname = connection.host;
+      url.port = String(connection.port || '');
+      url.username = connection.user;
+      url.pathname = `/${connection.database}`;
+      password = connection.password || '';
+    }
+
+    return {
+      url: url.toString(),
+      env: { ...process.env, PGPASSWORD: password },
+    };
+  }
+
   /**
    * Backup PostgreSQL database
+   * Runs pg_dump without blocking the event loop, so it can also be used
+   * from the running app (scheduled backups)
+   * @param {string|Object} connection - See pgConnection
    */
-  static backupPostgreSQL(connectionString, backupDir) {
+  static async backupPostgreSQL(connection, backupDir) {
     const timestamp = this.getTimestamp();
     const backupPath = path.join(backupDir, `backup-${timestamp}.sql`);
+    const { url, env } = this.pgConnection(connection);
 
     try {
-      execSync(`pg_dump "${connectionString}" > "${backupPath}"`, {
-        stdio: 'inherit',
-      });
+      await promisify(execFile)('pg_dump', ['--file', backupPath, '--dbname', url], { env });
       return backupPath;
     } catch (error) {
       throw new Error(`PostgreSQL backup failed: ${error.message}`);
     }
   }
 
+  /**
+   * Gzip a backup file next to it, streaming so large dumps never have to
+   * fit in memory
+   * @returns {Promise<string>} - Path of the `.gz` file
+   */
+  static async gzipFile(filePath) {
+    const gzipPath = `${filePath}.gz`;
+    await pipeline(fs.createReadStream(filePath), zlib.createGzip(), fs.createWriteStream(gzipPath));
+    return gzipPath;
+  }
+
+  /**
+   * SHA-256 of a buffer
+   */
+  static sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
   /**
    * Export files to JSON
+   * With a source provider, the SHA-256 of every file and format is recorded
+   * as `checksum`, so migrated objects can be verified against the backup.
+   * @param {Object} [options.source] - Provider to download the files from
    */
-  static async exportToJSON(db, backupDir) {
+  static async exportToJSON(db, backupDir, { source } = {}) {
     const timestamp = this.getTimestamp();
     const backupPath = path.join(backupDir, `cloudinary-backup-${timestamp}.json`);
 
@@ -84,11 +149,67 @@ class BackupHelper {
       })),
     };
 
+    if (source) {
+      backup.backup_metadata.checksums = true;
+      for (const file of backup.files) {
+        file.checksum = this.sha256(await source.download(file));
+        for (const format of Object.values(file.formats || {})) {
+          format.checksum = this.sha256(await source.download({ mime: file.mime, ...format }));
+        }
+      }
+    }
+
     fs.writeFileSync(backupPath, JSON.stringify(backup, null, 2));
 
     return backupPath;
   }
 
+  /**
+   * Load a JSON export created by exportToJSON
+   * @param {string} backupPath - Path to the export
+   * @returns {{metadata: Object, files: Map<number, Object>}} - Files keyed by ID
+   */
+  static loadJSONExport(backupPath) {
+    if (!fs.existsSync(backupPath)) {
+      throw new Error(`JSON backup not found: ${backupPath}`);
+    }
+
+    const backup = JSON.parse(fs.readFileSync(backupPath, 'utf8'));
+
+    return {
+      metadata: backup.backup_metadata,
+      files: new Map(backup.files.map((file) => [file.id, file])),
+    };
+  }
+
+  /**
+   * Path of the JSON export selected by a `--backup=` argument
+   * A relative path is resolved against the backup directory (so a bare file
+   * name works); without an argument, the most recent export is used.
+   * @returns {string|null}
+   */
+  static resolveJSONExport(backupArg, backupDir) {
+    return backupArg ? path.resolve(backupDir, backupArg) : this.findLatestJSONExport(backupDir);
+  }
+
+  /**
+   * Find the most recent JSON export in the backup directory
+   * @returns {string|null}
+   */
+  static findLatestJSONExport(backupDir) {
+    if (!fs.existsSync(backupDir)) {
+      return null;
+    }
+
+    const exports = fs
+      .readdirSync(backupDir)
+      .filter((file) => /^cloudinary-backup-.*\.json$/.test(file))
+      .sort()
+      .reverse();
+
+    return exports.length > 0 ? path.join(backupDir, exports[0]) : null;
+  }
+
   /**
    * Export to CSV mapping table
    */
@@ -216,9 +337,12 @@ Notes:
       throw new Error(`Backup file not found: ${backupPath}`);
     }
 
+    const { url, env } = this.pgConnection(connectionString);
+
     try {
-      execSync(`psql "${connectionString}" < "${backupPath}"`, {
+      execFileSync('psql', ['--file', backupPath, '--dbname', url], {
         stdio: 'inherit',
+        env,
       });
     } catch (error) {
       throw new Error(`PostgreSQL restore failed: ${error.message}`);
@@ -0,0 +1,140 @@
+/**
+ * Stores for cached API responses
+ *
+ * Every entry carries tags (surrogate keys); purging a tag drops every
+ * entry tagged with it. The in-memory store is a bounded LRU local to the
+ * process; the Redis store is shared by every instance of the app.
+ */
+
+export interface CachedResponse {
+  status: number;
+  type: string;
+  body: string;
+  etag: string;
+  tags: string[];
+}
+
+export interface CacheStore {
+  get(key: string): Promise<CachedResponse | null>;
+  // ttl in seconds
+  set(key: string, value: CachedResponse, ttl: number): Promise<void>;
+  // Drop the entries tagged with any of the tags; returns how many were dropped
+  purge(tags: string[]): Promise<number>;
+  clear(): Promise<void>;
+}
+
+/**
+ * In-memory LRU store keeping at most `max` entries
+ */
+export const createMemoryStore = ({ max }: { max: number }): CacheStore => {
+  // Map iteration follows insertion order: the first key is the least recently used
+  const entries = new Map<string, { value: CachedResponse; expiresAt: number }>();
+  const tagged = new Map<string, Set<string>>();
+
+  const remove = (key: string) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    entries.delete(key);
+    entry.value.tags.forEach((tag) => {
+      tagged.get(tag)?.delete(key);
+      if (tagged.get(tag)?.size === 0) {
+        tagged.delete(tag);
+      }
+    });
+    return true;
+  };
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        remove(key);
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttl) {
+      remove(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+      value.tags.forEach((tag) => tagged.set(tag, (tagged.get(tag) ?? new Set()).add(key)));
+
+      while (entries.size > max) {
+        remove(entries.keys().next().value);
+      }
+    },
+
+    async purge(tags) {
+      const keys = new Set(tags.flatMap((tag) => [...(tagged.get(tag) ?? [])]));
+      return [...keys].filter(remove).length;
+    },
+
+    async clear() {
+      entries.clear();
+      tagged.clear();
+    },
+  };
+};
+
+/**
+ * Redis store, with one set of entry keys per tag
+ * Needs the `ioredis` package, which is only loaded when this store is used.
+ */
+export const createRedisStore = ({ url, prefix }: { url: string; prefix: string }): CacheStore => {
+  let Redis;
+  try {
+    Redis = require('ioredis');
+  } catch {
+    throw new Error('The Redis cache store needs the ioredis package: npm install ioredis');
+  }
+  const redis = new Redis(url, { maxRetriesPerRequest: 1 });
+
+  const entryKey = (key: string) => `${prefix}entry:${key}`;
+  const tagKey = (tag: string) => `${prefix}tag:${tag}`;
+
+  return {
+    async get(key) {
+      const value = await redis.get(entryKey(key));
+      return value ? JSON.parse(value) : null;
+    },
+
+    async set(key, value, ttl) {
+      const pipeline = redis.multi().set(entryKey(key), JSON.stringify(value), 'EX', ttl);
+      // Tag sets outlive their entries a little; stale members are harmless
+      value.tags.forEach((tag) => pipeline.sadd(tagKey(tag), key).expire(tagKey(tag), ttl * 2));
+      await pipeline.exec();
+    },
+
+    async purge(tags) {
+      if (tags.length === 0) {
+        return 0;
+      }
+      const keys: string[] = [
+        ...new Set<string>((await Promise.all(tags.map((tag) => redis.smembers(tagKey(tag))))).flat()),
+      ];
+      if (keys.length > 0) {
+        await redis.del(...keys.map(entryKey));
+      }
+      await redis.del(...tags.map(tagKey));
+      return keys.length;
+    },
+
+    async clear() {
+      let cursor = '0';
+      do {
+        const [next, keys] = await redis.scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 500);
+        cursor = next;
+        if (keys.length > 0) {
+          await redis.del(...keys);
+        }
+      } while (cursor !== '0');
+    },
+  };
+};
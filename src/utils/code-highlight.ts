@@ -0,0 +1,195 @@
+/**
+ * Server-side syntax highlighting of the `code.code` component with Prism
+ *
+ * Highlighted HTML uses Prism's `token` class names, so any Prism theme
+ * styles it without shipping the highlighter to the browser. Each line is
+ * wrapped in `<span class="line">`, with `highlighted` added for the lines
+ * listed in `highlighted_lines`.
+ */
+
+import Prism from 'prismjs';
+import loadLanguages from 'prismjs/components/';
+import prismComponents from 'prismjs/components.json';
+import { errors } from '@strapi/utils';
+
+export interface CodeBlock {
+  code?: string | null;
+  language?: string | null;
+  filename?: string | null;
+  highlighted_lines?: string | null;
+  show_line_numbers?: boolean | null;
+}
+
+const PLAIN_TEXT = 'plaintext';
+const PLAIN_TEXT_ALIASES = ['plaintext', 'plain', 'text', 'txt'];
+
+// Prism language IDs by ID or alias (`js` -> `javascript`)
+const LANGUAGES = new Map<string, string>();
+Object.entries(prismComponents.languages as Record<string, { alias?: string | string[] }>).forEach(
+  ([id, language]) => {
+    if (id === 'meta') {
+      return;
+    }
+    LANGUAGES.set(id, id);
+    [].concat(language.alias ?? []).forEach((alias) => LANGUAGES.set(alias, id));
+  }
+);
+PLAIN_TEXT_ALIASES.forEach((alias) => LANGUAGES.set(alias, PLAIN_TEXT));
+
+const LINE_RANGES = /^\d+(-\d+)?(,\d+(-\d+)?)*$/;
+
+loadLanguages.silent = true;
+
+const escapeHTML = (text: string) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * Prism language ID of a language name or alias
+ * @returns null for unknown languages
+ */
+export const resolveLanguage = (name: string | null | undefined) =>
+  LANGUAGES.get((name ?? '').trim().toLowerCase()) ?? null;
+
+const splitRange = (range: string) => {
+  const [start, end = start] = range.split('-').map(Number);
+  return [start, end];
+};
+
+/**
+ * Line numbers of a `1,3-5` list, up to the last line of the code
+ * @param lineCount - Number of lines of the code
+ */
+export const parseLineRanges = (ranges: string | null | undefined, lineCount: number) => {
+  const lines = new Set<number>();
+  (ranges ?? '')
+    .split(',')
+    .filter(Boolean)
+    .forEach((range) => {
+      const [start, end] = splitRange(range);
+      for (let line = start; line <= Math.min(end, lineCount); line += 1) {
+        lines.add(line);
+      }
+    });
+  return lines;
+};
+
+/**
+ * Split highlighted HTML into lines, closing the tokens open at the end of
+ * a line and reopening them on the next one (multi-line comments, strings)
+ */
+const splitLines = (html: string) => {
+  const lines: string[] = [];
+  const open: string[] = [];
+  let line = '';
+
+  for (const [part] of html.matchAll(/<span[^>]*>|<\/span>|\n|[^<\n]+/g)) {
+    if (part === '\n') {
+      lines.push(line + '</span>'.repeat(open.length));
+      line = open.join('');
+      continue;
+    }
+    if (part.startsWith('<span')) {
+      open.push(part);
+    } else if (part === '</span>') {
+      open.pop();
+    }
+    line += part;
+  }
+
+  lines.push(line);
+  return lines;
+};
+
+/**
+ * Highlighted HTML of the code, without the surrounding `<pre><code>`
+ */
+export const highlightCode = ({ code, language, highlighted_lines }: CodeBlock) => {
+  const id = resolveLanguage(language);
+  const source = (code ?? '').replace(/\r\n?/g, '\n').replace(/\n$/, '');
+
+  if (id && id !== PLAIN_TEXT && !Prism.languages[id]) {
+    loadLanguages([id]);
+  }
+  const grammar = id && id !== PLAIN_TEXT ? Prism.languages[id] : null;
+  const html = grammar ? Prism.highlight(source, grammar, id) : escapeHTML(source);
+
+  const lines = splitLines(html);
+  const highlighted = parseLineRanges(highlighted_lines, lines.length);
+  return lines
+    .map(
+      (line, index) =>
+        `<span class="line${highlighted.has(index + 1) ? ' highlighted' : ''}" data-line="${index + 1}">${line}</span>`
+    )
+    .join('\n');
+};
+
+/**
+ * `<pre><code>` element of a code block, with the Prism `language-*` class
+ * and `line-numbers` when line numbers should be shown
+ */
+export const codeBlockToHTML = (block: CodeBlock) => {
+  const id = resolveLanguage(block.language) ?? PLAIN_TEXT;
+  const preClass = [`language-${id}`, block.show_line_numbers ? 'line-numbers' : ''].filter(Boolean).join(' ');
+  const pre = `<pre class="${preClass}"><code class="language-${id}">${highlightCode(block)}</code></pre>`;
+
+  return block.filename
+    ? `<figure class="code"><figcaption>${escapeHTML(block.filename)}</figcaption>${pre}</figure>`
+    : pre;
+};
+
+/**
+ * Validate the options of a `code.code` component
+ * @param path - Path of the component, reported with validation errors
+ * @returns The options with the language resolved to its Prism ID
+ * @throws {errors.ValidationError}
+ */
+export const normalizeCodeBlock = (component: CodeBlock, path: Array<string | number> = []) => {
+  const problems: Array<{ attribute: string; message: string; value: unknown }> = [];
+  const result = { ...component };
+
+  if (component.language !== undefined) {
+    result.language = component.language?.trim() ? resolveLanguage(component.language) : null;
+    if (component.language?.trim() && !result.language) {
+      problems.push({
+        attribute: 'language',
+        message: `Unknown language "${component.language}" (use a Prism language name or alias, e.g. javascript, ts, bash)`,
+        value: component.language,
+      });
+    }
+  }
+
+  if (component.highlighted_lines !== undefined) {
+    result.highlighted_lines = component.highlighted_lines?.replace(/\s+/g, '') || null;
+    if (result.highlighted_lines && !LINE_RANGES.test(result.highlighted_lines)) {
+      problems.push({
+        attribute: 'highlighted_lines',
+        message: 'Highlighted lines must be line numbers or ranges, e.g. 1,3-5',
+        value: component.highlighted_lines,
+      });
+    } else if (
+      result.highlighted_lines?.split(',').some((range) => {
+        const [start, end] = splitRange(range);
+        return start < 1 || start > end;
+      })
+    ) {
+      problems.push({
+        attribute: 'highlighted_lines',
+        message: 'Highlighted line ranges must start at line 1 or later and not end before they start, e.g. 3-5',
+        value: component.highlighted_lines,
+      });
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new errors.ValidationError(problems.map(({ message }) => message).join('; '), {
+      errors: problems.map(({ attribute, message, value }) => ({
+        path: [...path, attribute].map(String),
+        message,
+        name: 'ValidationError',
+        value,
+      })),
+    });
+  }
+
+  return result;
+};
@@ -0,0 +1,77 @@
+/**
+ * Validation and normalization of component values on save
+ *
+ * Normalizers receive the submitted component and the attribute path of the
+ * component in the document (for validation errors), and return the values
+ * to store.
+ */
+
+import type { Core } from '@strapi/strapi';
+import { normalizeCodeBlock } from './code-highlight';
+import { normalizeTableHTML } from './html-table';
+import { normalizeSeo } from './seo';
+import { normalizeYouTube } from './youtube';
+
+type Path = Array<string | number>;
+type ComponentNormalizer = (component: Record<string, any>, path: Path) => Record<string, any>;
+
+const NORMALIZERS: Record<string, ComponentNormalizer> = {
+  'code.code': (component, path) => normalizeCodeBlock(component, path),
+  'seo.seo': (component, path) => normalizeSeo(component, path),
+  'table.htmltable': (component, path) => {
+    if (component.htmltable === undefined) {
+      return component;
+    }
+    const { html, data } = normalizeTableHTML(component.htmltable, [...path, 'htmltable']);
+    return { ...component, htmltable: html, table_data: data };
+  },
+  'youtube-video.youtube-video': (component, path) => {
+    if (component.youtube_video === undefined) {
+      return component;
+    }
+    return { ...component, ...normalizeYouTube(component.youtube_video, [...path, 'youtube_video']) };
+  },
+};
+
+const normalizeComponent = (strapi: Core.Strapi, uid: string, component, path: Path) => {
+  if (!component || typeof component !== 'object') {
+    return component;
+  }
+  const normalize = NORMALIZERS[uid];
+  const normalized = normalize ? normalize(component, path) : component;
+  return normalizeAttributes(strapi, strapi.getModel(uid as any), normalized, path);
+};
+
+/**
+ * Apply the component normalizers to every (nested) component of document data
+ */
+export const normalizeAttributes = (
+  strapi: Core.Strapi,
+  model: { attributes: Record<string, any> } | undefined,
+  data: Record<string, any>,
+  path: Path = []
+) => {
+  if (!model || !data || typeof data !== 'object') {
+    return data;
+  }
+
+  const result = { ...data };
+  Object.entries(model.attributes).forEach(([name, attribute]) => {
+    const value = data[name];
+    if (value === undefined || value === null) {
+      return;
+    }
+
+    if (attribute.type === 'component') {
+      result[name] = Array.isArray(value)
+        ? value.map((item, index) => normalizeComponent(strapi, attribute.component, item, [...path, name, index]))
+        : normalizeComponent(strapi, attribute.component, value, [...path, name]);
+    } else if (attribute.type === 'dynamiczone' && Array.isArray(value)) {
+      result[name] = value.map((item, index) =>
+        normalizeComponent(strapi, item?.__component, item, [...path, name, index])
+      );
+    }
+  });
+
+  return result;
+};
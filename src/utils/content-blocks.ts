@@ -0,0 +1,488 @@
+/**
+ * Helpers for the rich-text blocks and the `content_blocks` dynamic zone
+ */
+
+import { CodeBlock, codeBlockToHTML, resolveLanguage } from './code-highlight';
+import { SAFE_URL, parseTable, sanitizeTableHTML } from './html-table';
+import { parseYouTube, toEmbedUrl, toThumbnailUrl, toWatchUrl } from './youtube';
+
+export interface BlockNode {
+  type: string;
+  text?: string;
+  children?: BlockNode[];
+  [key: string]: unknown;
+}
+
+export interface ContentBlock {
+  __component: string;
+  [key: string]: any;
+}
+
+// Nodes rendered inline inside a paragraph, heading or list item
+const INLINE_TYPES = ['text', 'link'];
+
+const nodeToText = (node: BlockNode): string => {
+  if (node.type === 'text') {
+    return node.text ?? '';
+  }
+
+  const children = node.children ?? [];
+  const separator = children.every((child) => INLINE_TYPES.includes(child.type)) ? '' : '\n';
+  return children.map(nodeToText).join(separator);
+};
+
+/**
+ * Plain text of a blocks (rich text) value, one line per block
+ */
+export const blocksToText = (blocks: BlockNode[] | null | undefined) =>
+  (blocks ?? []).map(nodeToText).join('\n');
+
+/**
+ * Plain text of an HTML fragment
+ */
+export const htmlToText = (html: string | null | undefined) =>
+  (html ?? '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Searchable text of every component of a `content_blocks` dynamic zone
+ */
+export const contentBlocksToText = (contentBlocks: ContentBlock[] | null | undefined) =>
+  (contentBlocks ?? [])
+    .map((block) => {
+      switch (block.__component) {
+        case 'rich-text.rich-text':
+          return blocksToText(block.richtext);
+        case 'code.code':
+          return block.code ?? '';
+        case 'table.htmltable':
+          return htmlToText(block.htmltable);
+        case 'image.image':
+          return (block.image ?? [])
+            .map((file) => [file.alternativeText, file.caption].filter(Boolean).join(' '))
+            .join('\n');
+        default:
+          return '';
+      }
+    })
+    .filter(Boolean)
+    .join('\n');
+
+export const escapeHTML = (text: string | null | undefined) =>
+  (text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Text modifiers of the blocks editor and their HTML elements, innermost first
+const TEXT_MARKS = [
+  ['code', 'code'],
+  ['bold', 'strong'],
+  ['italic', 'em'],
+  ['underline', 'u'],
+  ['strikethrough', 's'],
+];
+
+const textToHTML = (node: BlockNode) =>
+  TEXT_MARKS.reduce(
+    (html, [mark, tag]) => (node[mark] ? `<${tag}>${html}</${tag}>` : html),
+    escapeHTML(node.text)
+  );
+
+export interface RenderOptions {
+  // Makes media URLs absolute (e.g. local `/uploads` paths)
+  resolveUrl?: (url: string) => string;
+  // Anchor ID of a heading; shared by all blocks of a document
+  slug?: (text: string) => string;
+}
+
+export interface OutlineEntry {
+  level: number;
+  text: string;
+  id: string;
+}
+
+/**
+ * Anchor IDs for headings, unique within one document (`intro`, `intro-2`)
+ */
+export const createSlugger = () => {
+  const used = new Set<string>();
+
+  return (text: string) => {
+    const base =
+      text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '') || 'section';
+
+    let id = base;
+    for (let count = 2; used.has(id); count += 1) {
+      id = `${base}-${count}`;
+    }
+    used.add(id);
+    return id;
+  };
+};
+
+interface MediaFormat {
+  url: string;
+  width?: number;
+  height?: number;
+}
+
+interface MediaFile extends MediaFormat {
+  name?: string;
+  alternativeText?: string | null;
+  caption?: string | null;
+  mime?: string;
+  formats?: Record<string, MediaFormat> | null;
+}
+
+const identity = (url: string) => url;
+
+const isImage = (file: MediaFile) => !file.mime || file.mime.startsWith('image/');
+
+/**
+ * Responsive `<figure>` of an uploaded image: every generated format except
+ * the cropped thumbnail goes into `srcset`, next to the original
+ */
+const imageToHTML = (file: MediaFile, { resolveUrl = identity }: RenderOptions) => {
+  const url = escapeHTML(resolveUrl(file.url));
+
+  if (!isImage(file)) {
+    const tag = file.mime.startsWith('video/') ? 'video' : file.mime.startsWith('audio/') ? 'audio' : null;
+    const media = tag
+      ? `<${tag} src="${url}" controls preload="metadata"></${tag}>`
+      : `<a href="${url}">${escapeHTML(file.name || file.url)}</a>`;
+    return `<figure>${media}${file.caption ? `<figcaption>${escapeHTML(file.caption)}</figcaption>` : ''}</figure>`;
+  }
+
+  const sources = Object.entries(file.formats ?? {})
+    .filter(([name, format]) => name !== 'thumbnail' && format.width)
+    .map(([, format]) => format)
+    .concat(file.width ? [file] : [])
+    .sort((a, b) => a.width - b.width);
+
+  const attributes = [
+    `src="${url}"`,
+    `alt="${escapeHTML(file.alternativeText)}"`,
+    file.width && file.height ? `width="${file.width}" height="${file.height}"` : '',
+    sources.length > 1
+      ? `srcset="${sources
+          .map((source) => `${escapeHTML(resolveUrl(source.url))} ${source.width}w`)
+          .join(', ')}"`
+      : '',
+    // Without the original width the browser's default (100vw) applies
+    sources.length > 1 && file.width ? `sizes="(max-width: ${file.width}px) 100vw, ${file.width}px"` : '',
+    'loading="lazy"',
+    'decoding="async"',
+  ];
+
+  return `<figure><img ${attributes.filter(Boolean).join(' ')}>${
+    file.caption ? `<figcaption>${escapeHTML(file.caption)}</figcaption>` : ''
+  }</figure>`;
+};
+
+/**
+ * Heading level of a node, clamped to h1-h6
+ */
+const headingLevel = (node: BlockNode) => Math.min(Math.max(Math.trunc(Number(node.level)) || 1, 1), 6);
+
+const nodeToHTML = (node: BlockNode, options: RenderOptions): string => {
+  const children = () => (node.children ?? []).map((child) => nodeToHTML(child, options)).join('');
+
+  switch (node.type) {
+    case 'text':
+      return textToHTML(node);
+    case 'link':
+      // Links to unsafe URLs keep their text only
+      return SAFE_URL.test(String(node.url ?? ''))
+        ? `<a href="${escapeHTML(node.url as string)}">${children()}</a>`
+        : children();
+    case 'paragraph':
+      return `<p>${children()}</p>`;
+    case 'heading': {
+      const id = options.slug ? ` id="${escapeHTML(options.slug(nodeToText(node)))}"` : '';
+      const level = headingLevel(node);
+      return `<h${level}${id}>${children()}</h${level}>`;
+    }
+    case 'list': {
+      // Nested lists follow their parent item; they belong inside it
+      const items: string[] = [];
+      (node.children ?? []).forEach((child) => {
+        const html = nodeToHTML(child, options);
+        if (child.type === 'list' && items.length > 0) {
+          items.push(items.pop().replace(/<\/li>$/, `${html}</li>`));
+        } else {
+          items.push(html);
+        }
+      });
+      const tag = node.format === 'ordered' ? 'ol' : 'ul';
+      return `<${tag}>${items.join('')}</${tag}>`;
+    }
+    case 'list-item':
+      return `<li>${children()}</li>`;
+    case 'quote':
+      return `<blockquote>${children()}</blockquote>`;
+    case 'code':
+      return codeBlockToHTML({ code: nodeToText(node), language: node.language as string });
+    case 'image':
+      return node.image ? imageToHTML(node.image as MediaFile, options) : '';
+    default:
+      return children();
+  }
+};
+
+/**
+ * HTML of a blocks (rich text) value, with anchor IDs on headings
+ */
+export const blocksToHTML = (blocks: BlockNode[] | null | undefined, options: RenderOptions = {}) => {
+  const slug = options.slug ?? createSlugger();
+  return (blocks ?? []).map((node) => nodeToHTML(node, { ...options, slug })).join('\n');
+};
+
+/**
+ * Semantic HTML of a `content_blocks` dynamic zone: responsive figures,
+ * highlighted `<pre><code>` blocks, privacy-enhanced YouTube embeds and
+ * sanitized tables
+ */
+export const contentBlocksToHTML = (
+  contentBlocks: ContentBlock[] | null | undefined,
+  options: RenderOptions = {}
+) => {
+  const slug = options.slug ?? createSlugger();
+
+  return (contentBlocks ?? [])
+    .map((block) => {
+      switch (block.__component) {
+        case 'rich-text.rich-text':
+          return blocksToHTML(block.richtext, { ...options, slug });
+        case 'image.image':
+          return (block.image ?? []).map((file) => imageToHTML(file, options)).join('\n');
+        case 'code.code':
+          return codeBlockToHTML(block as CodeBlock);
+        case 'youtube-video.youtube-video': {
+          const video = parseYouTube(block.youtube_video);
+          return video
+            ? `<figure class="video"><iframe src="${escapeHTML(toEmbedUrl(video))}" title="YouTube video" width="560" height="315" loading="lazy" referrerpolicy="strict-origin-when-cross-origin" allow="accelerometer; encrypted-media; gyroscope; picture-in-picture; fullscreen" allowfullscreen></iframe></figure>`
+            : '';
+        }
+        case 'table.htmltable':
+          return sanitizeTableHTML(block.htmltable).html;
+        default:
+          return '';
+      }
+    })
+    .filter(Boolean)
+    .join('\n');
+};
+
+const escapeMarkdown = (text: string) => text.replace(/([\\`*_[\]<>])/g, '\\$1');
+
+/**
+ * Fenced code block, with a fence longer than any backtick run in the code
+ */
+const toFence = (code: string, language = '') => {
+  const longestRun = Math.max(0, ...(code.match(/`+/g) ?? []).map((run) => run.length));
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  return `${fence}${language}\n${code.replace(/\n$/, '')}\n${fence}`;
+};
+
+const textToMarkdown = (node: BlockNode) => {
+  const text = node.text ?? '';
+  if (!text.trim()) {
+    return text;
+  }
+  if (node.code) {
+    return `\`${text}\``;
+  }
+
+  // Markers must hug the text, so surrounding whitespace is kept outside
+  const [, leading, content, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  let markdown = escapeMarkdown(content);
+  if (node.strikethrough) {
+    markdown = `~~${markdown}~~`;
+  }
+  if (node.italic) {
+    markdown = `_${markdown}_`;
+  }
+  if (node.bold) {
+    markdown = `**${markdown}**`;
+  }
+  return `${leading}${markdown}${trailing}`;
+};
+
+const imageToMarkdown = (file: MediaFile, { resolveUrl = identity }: RenderOptions) => {
+  const url = resolveUrl(file.url).replace(/ /g, '%20');
+  const title = file.caption ? ` "${file.caption.replace(/"/g, '\\"')}"` : '';
+  return isImage(file)
+    ? `![${escapeMarkdown(file.alternativeText ?? '')}](${url}${title})`
+    : `[${escapeMarkdown(file.name || file.url)}](${url}${title})`;
+};
+
+const inlineToMarkdown = (nodes: BlockNode[] | undefined) =>
+  (nodes ?? [])
+    .map((node) =>
+      node.type !== 'link'
+        ? textToMarkdown(node)
+        : SAFE_URL.test(String(node.url ?? ''))
+          ? `[${inlineToMarkdown(node.children)}](${String(node.url).replace(/ /g, '%20')})`
+          : inlineToMarkdown(node.children)
+    )
+    .join('')
+    .replace(/\n/g, '  \n');
+
+const listToMarkdown = (node: BlockNode, depth: number): string => {
+  let index = 0;
+  return (node.children ?? [])
+    .map((child) => {
+      if (child.type === 'list') {
+        return listToMarkdown(child, depth + 1);
+      }
+      index += 1;
+      const marker = node.format === 'ordered' ? `${index}.` : '-';
+      return `${'   '.repeat(depth)}${marker} ${inlineToMarkdown(child.children)}`;
+    })
+    .join('\n');
+};
+
+const nodeToMarkdown = (node: BlockNode, options: RenderOptions): string => {
+  switch (node.type) {
+    case 'paragraph':
+      return inlineToMarkdown(node.children);
+    case 'heading':
+      return `${'#'.repeat(headingLevel(node))} ${inlineToMarkdown(node.children)}`;
+    case 'list':
+      return listToMarkdown(node, 0);
+    case 'quote':
+      return inlineToMarkdown(node.children)
+        .split('\n')
+        .map((line) => `> ${line}`)
+        .join('\n');
+    case 'code':
+      return toFence(nodeToText(node), resolveLanguage(node.language as string) ?? '');
+    case 'image':
+      return node.image ? imageToMarkdown(node.image as MediaFile, options) : '';
+    default:
+      return inlineToMarkdown(node.children);
+  }
+};
+
+/**
+ * Markdown of a blocks (rich text) value
+ */
+export const blocksToMarkdown = (blocks: BlockNode[] | null | undefined, options: RenderOptions = {}) =>
+  (blocks ?? [])
+    .map((node) => nodeToMarkdown(node, options))
+    .filter((markdown) => markdown.trim())
+    .join('\n\n');
+
+/**
+ * Pipe table of an HTML table; the first row becomes the header when the
+ * table has none, as Markdown tables require one
+ */
+const tableToMarkdown = (html: string) => {
+  const { caption, headers, rows } = parseTable(html);
+  const [header, ...body] = headers.length > 0 ? [headers, ...rows] : rows;
+  if (!header) {
+    return '';
+  }
+
+  const columns = Math.max(...[header, ...body].map((row) => row.length));
+  const toRow = (cells: string[]) =>
+    `| ${Array.from({ length: columns }, (_, index) =>
+      escapeMarkdown(cells[index] ?? '').replace(/\|/g, '\\|').replace(/\n/g, '<br>')
+    ).join(' | ')} |`;
+
+  return [
+    caption ? `_${escapeMarkdown(caption)}_\n` : '',
+    toRow(header),
+    `| ${Array(columns).fill('---').join(' | ')} |`,
+    ...body.map(toRow),
+  ]
+    .filter(Boolean)
+    .join('\n');
+};
+
+/**
+ * Markdown of a `content_blocks` dynamic zone; YouTube videos become a
+ * thumbnail linking to the video
+ */
+export const contentBlocksToMarkdown = (
+  contentBlocks: ContentBlock[] | null | undefined,
+  options: RenderOptions = {}
+) =>
+  (contentBlocks ?? [])
+    .map((block) => {
+      switch (block.__component) {
+        case 'rich-text.rich-text':
+          return blocksToMarkdown(block.richtext, options);
+        case 'image.image':
+          return (block.image ?? []).map((file) => imageToMarkdown(file, options)).join('\n\n');
+        case 'code.code': {
+          if (!block.code) {
+            return '';
+          }
+          const fence = toFence(block.code, resolveLanguage(block.language) ?? '');
+          return block.filename ? `_${escapeMarkdown(block.filename)}_\n\n${fence}` : fence;
+        }
+        case 'youtube-video.youtube-video': {
+          const video = parseYouTube(block.youtube_video);
+          return video ? `[![YouTube video](${toThumbnailUrl(video)})](${toWatchUrl(video)})` : '';
+        }
+        case 'table.htmltable':
+          return tableToMarkdown(block.htmltable);
+        default:
+          return '';
+      }
+    })
+    .filter(Boolean)
+    .join('\n\n');
+
+/**
+ * Words of the rich text of a `content_blocks` dynamic zone
+ */
+export const countWords = (contentBlocks: ContentBlock[] | null | undefined) =>
+  (contentBlocks ?? [])
+    .filter((block) => block.__component === 'rich-text.rich-text')
+    .reduce(
+      (count, block) =>
+        count + (blocksToText(block.richtext).match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) ?? []).length,
+      0
+    );
+
+/**
+ * Headings of the rich text of a `content_blocks` dynamic zone, with the
+ * anchor IDs used by `contentBlocksToHTML`
+ */
+export const contentBlocksToOutline = (contentBlocks: ContentBlock[] | null | undefined) => {
+  const slug = createSlugger();
+  const outline: OutlineEntry[] = [];
+
+  const visit = (node: BlockNode) => {
+    if (node.type === 'heading') {
+      const text = nodeToText(node);
+      outline.push({ level: headingLevel(node), text: text.trim(), id: slug(text) });
+      return;
+    }
+    (node.children ?? []).forEach(visit);
+  };
+
+  (contentBlocks ?? [])
+    .filter((block) => block.__component === 'rich-text.rich-text')
+    .forEach((block) => (block.richtext ?? []).forEach(visit));
+
+  return outline;
+};
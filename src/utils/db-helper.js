@@ -0,0 +1,299 @@
+/**
+ * Database helper - Abstraction layer for SQLite and PostgreSQL
+ * Provides unified interface for both database types
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+class DBHelper {
+  constructor(client, connection) {
+    this.client = client; // 'sqlite' or 'postgres'
+    this.connection = connection;
+  }
+
+  /**
+   * Initialize database connection
+   */
+  static async init(env = {}) {
+    // Auto-detect database type from DATABASE_URL if DATABASE_CLIENT not set
+    let client = env.DATABASE_CLIENT;
+
+    if (!client) {
+      const dbUrl = env.DATABASE_PRIVATE_URL || env.DATABASE_URL;
+      if (dbUrl && dbUrl.startsWith('postgresql://')) {
+        client = 'postgres';
+      } else {
+        client = 'sqlite';
+      }
+    }
+
+    if (client === 'sqlite') {
+      const Database = require('better-sqlite3');
+      const dbPath = path.resolve(process.cwd(), env.DATABASE_FILENAME || '.tmp/data.db');
+
+      if (!fs.existsSync(dbPath)) {
+        throw new Error(`SQLite database not found at: ${dbPath}`);
+      }
+
+      const connection = new Database(dbPath);
+      return new DBHelper('sqlite', connection);
+    } else if (client === 'postgres') {
+      const { Client } = require('pg');
+      const connection = new Client({
+        connectionString: env.DATABASE_PRIVATE_URL || env.DATABASE_URL,
+        connectionTimeoutMillis: 30000,
+        query_timeout: 60000,
+        statement_timeout: 60000,
+        idle_in_transaction_session_timeout: 60000,
+      });
+      await connection.connect();
+      return new DBHelper('postgres', connection);
+    } else {
+      throw new Error(`Unsupported database client: ${client}`);
+    }
+  }
+
+  /**
+   * Use a connection of a running Strapi app's knex pool (e.g. from a
+   * service), so the app and the scripts share the same queries
+   * `close()` hands the connection back to the pool.
+   * @param {string} client - `strapi.db.dialect.client` ('sqlite' or 'postgres')
+   * @param {Object} knex - `strapi.db.connection`
+   */
+  static async fromKnex(client, knex) {
+    if (!['sqlite', 'postgres'].includes(client)) {
+      throw new Error(`Unsupported database client: ${client}`);
+    }
+
+    const connection = await knex.client.acquireConnection();
+    const db = new DBHelper(client, connection);
+    db.release = () => knex.client.releaseConnection(connection);
+    return db;
+  }
+
+  /**
+   * Execute a query and return all results
+   */
+  async all(sql, params = []) {
+    if (this.client === 'sqlite') {
+      const stmt = this.connection.prepare(sql);
+      return stmt.all(...params);
+    } else {
+      const result = await this.connection.query(this.toPostgresSQL(sql), params);
+      return result.rows;
+    }
+  }
+
+  /**
+   * Execute a query and return first result
+   */
+  async get(sql, params = []) {
+    if (this.client === 'sqlite') {
+      const stmt = this.connection.prepare(sql);
+      return stmt.get(...params);
+    } else {
+      const result = await this.connection.query(this.toPostgresSQL(sql), params);
+      return result.rows[0];
+    }
+  }
+
+  /**
+   * Execute a query (INSERT, UPDATE, DELETE)
+   */
+  async run(sql, params = []) {
+    if (this.client === 'sqlite') {
+      const stmt = this.connection.prepare(sql);
+      return stmt.run(...params);
+    } else {
+      return await this.connection.query(this.toPostgresSQL(sql), params);
+    }
+  }
+
+  /**
+   * Convert `?` placeholders to PostgreSQL positional `$n` placeholders
+   * Quoted strings and identifiers are left as they are.
+   */
+  toPostgresSQL(sql) {
+    let index = 0;
+    return sql.replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"|\?/g, (match) =>
+      match === '?' ? `$${++index}` : match
+    );
+  }
+
+  /**
+   * Begin transaction
+   */
+  async beginTransaction() {
+    if (this.client === 'sqlite') {
+      this.connection.prepare('BEGIN TRANSACTION').run();
+    } else {
+      await this.connection.query('BEGIN');
+    }
+  }
+
+  /**
+   * Commit transaction
+   */
+  async commit() {
+    if (this.client === 'sqlite') {
+      this.connection.prepare('COMMIT').run();
+    } else {
+      await this.connection.query('COMMIT');
+    }
+  }
+
+  /**
+   * Rollback transaction
+   */
+  async rollback() {
+    if (this.client === 'sqlite') {
+      this.connection.prepare('ROLLBACK').run();
+    } else {
+      await this.connection.query('ROLLBACK');
+    }
+  }
+
+  /**
+   * Close database connection
+   */
+  async close() {
+    if (this.release) {
+      await this.release();
+    } else if (this.client === 'sqlite') {
+      this.connection.close();
+    } else {
+      await this.connection.end();
+    }
+  }
+
+  /**
+   * Check that a table exists (e.g. components that were never used have no table yet)
+   */
+  async tableExists(table) {
+    const sql =
+      this.client === 'sqlite'
+        ? "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?"
+        : 'SELECT table_name FROM information_schema.tables WHERE table_name = ?';
+    return Boolean(await this.get(sql, [table]));
+  }
+
+  /**
+   * Return the first existing table among candidate names
+   * Strapi 5 shortens identifiers (e.g. `files_related_mph`) while databases
+   * upgraded from Strapi 4 keep the long names (`files_related_morphs`)
+   */
+  async findTable(candidates) {
+    for (const table of candidates) {
+      if (await this.tableExists(table)) {
+        return table;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get all Cloudinary files
+   */
+  async getCloudinaryFiles() {
+    return await this.getFilesByProvider('cloudinary');
+  }
+
+  /**
+   * Get all files regardless of provider
+   */
+  async getAllFiles() {
+    return await this.all('SELECT * FROM files ORDER BY id');
+  }
+
+  /**
+   * Get all files stored by an upload provider
+   * @param {string} provider - Provider name as stored in files.provider
+   */
+  async getFilesByProvider(provider) {
+    return await this.all('SELECT * FROM files WHERE provider = ? ORDER BY id', [provider]);
+  }
+
+  /**
+   * Update file to R2
+   * @param {number} fileId - File ID
+   * @param {string} r2Url - New URL of the original file
+   * @param {Object|null} formats - Rewritten formats object (thumbnail, small, ...)
+   */
+  async updateFileToR2(fileId, r2Url, formats = null) {
+    await this.updateFileProvider(fileId, {
+      url: r2Url,
+      provider: 'aws-s3',
+      providerMetadata: null,
+      formats,
+    });
+  }
+
+  /**
+   * Point a file at a new upload provider
+   * @param {number} fileId - File ID
+   * @param {Object} params - New storage location
+   * @param {string} params.url - New URL of the original file
+   * @param {string} params.provider - Provider name (e.g. 'aws-s3', 'local')
+   * @param {Object|null} params.providerMetadata - Provider specific metadata
+   * @param {Object|null} params.formats - Rewritten formats object (thumbnail, small, ...)
+   */
+  async updateFileProvider(fileId, { url, provider, providerMetadata = null, formats = null }) {
+    const sql = `
+      UPDATE files
+      SET
+        url = ?,
+        provider = ?,
+        provider_metadata = ?,
+        formats = ?,
+        updated_at = datetime('now')
+      WHERE id = ?
+    `;
+    const params = [
+      url,
+      provider,
+      providerMetadata ? JSON.stringify(providerMetadata) : null,
+      formats ? JSON.stringify(formats) : null,
+      fileId,
+    ];
+
+    if (this.client === 'postgres') {
+      // PostgreSQL uses NOW() instead of datetime('now')
+      const pgSql = sql.replace("datetime('now')", 'NOW()');
+      await this.run(pgSql, params);
+    } else {
+      await this.run(sql, params);
+    }
+  }
+
+  /**
+   * Parse a JSON column value
+   * SQLite returns JSON columns as strings, PostgreSQL returns parsed objects
+   */
+  static parseJSON(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  /**
+   * Get file by ID
+   */
+  async getFileById(id) {
+    return await this.get('SELECT * FROM files WHERE id = ?', [id]);
+  }
+
+  /**
+   * Get total file count by provider
+   */
+  async getFileCountByProvider(provider) {
+    const result = await this.get(
+      'SELECT COUNT(*) as count FROM files WHERE provider = ?',
+      [provider]
+    );
+    return result.count;
+  }
+}
+
+module.exports = DBHelper;
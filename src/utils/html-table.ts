@@ -0,0 +1,341 @@
+/**
+ * Allowlist sanitizer and parser for the HTML stored by the `table.htmltable`
+ * component
+ *
+ * Only table elements, a few inline formatting elements used inside cells
+ * and their harmless attributes are kept; everything else is stripped and
+ * reported. The output is always well-formed (unclosed elements are closed).
+ */
+
+import { errors } from '@strapi/utils';
+
+interface Token {
+  type: 'open' | 'close' | 'text';
+  name?: string;
+  attributes?: Array<[string, string]>;
+  text?: string;
+}
+
+export interface TableData {
+  caption: string | null;
+  headers: string[];
+  rows: string[][];
+}
+
+// Link targets that can't run script (no `javascript:`, `data:`, ...)
+export const SAFE_URL = /^(https?:|mailto:|\/|#)/i;
+
+// Allowed elements and, for each, the allowed attributes with a value check
+const ALLOWED_ELEMENTS: Record<string, Record<string, RegExp>> = {
+  table: {},
+  caption: {},
+  colgroup: { span: /^\d{1,3}$/ },
+  col: { span: /^\d{1,3}$/ },
+  thead: {},
+  tbody: {},
+  tfoot: {},
+  tr: {},
+  th: {
+    colspan: /^\d{1,3}$/,
+    rowspan: /^\d{1,3}$/,
+    scope: /^(row|col|rowgroup|colgroup)$/,
+    headers: /^[\w\s-]+$/,
+  },
+  td: { colspan: /^\d{1,3}$/, rowspan: /^\d{1,3}$/, headers: /^[\w\s-]+$/ },
+  br: {},
+  strong: {},
+  b: {},
+  em: {},
+  i: {},
+  code: {},
+  sub: {},
+  sup: {},
+  a: { href: SAFE_URL },
+};
+
+const VOID_ELEMENTS = ['br', 'col'];
+
+// Removed together with their content
+const DROPPED_WITH_CONTENT = [
+  'script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript',
+  'textarea', 'select', 'svg', 'math', 'head', 'title',
+];
+
+const CELL_ELEMENTS = ['th', 'td'];
+
+const TOKEN_PATTERN =
+  /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const ENTITIES: Record<string, string> = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+};
+
+const decodeEntities = (text: string) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code: string) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+      return Number.isFinite(point) && point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : '';
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+
+const escapeText = (text: string) =>
+  text.replace(/&(?!(#x[0-9a-f]+|#\d+|\w+);)/gi, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const escapeAttribute = (value: string) =>
+  value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Split HTML into element and text tokens; comments, doctypes and
+ * processing instructions are dropped
+ */
+const tokenize = (html: string): Token[] => {
+  const tokens: Token[] = [];
+  let lastIndex = 0;
+
+  for (const match of html.matchAll(TOKEN_PATTERN)) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', text: html.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+
+    const [, closing, name, attributeText] = match;
+    if (!name) {
+      continue;
+    }
+
+    const attributes = [...(attributeText ?? '').matchAll(ATTRIBUTE_PATTERN)].map(
+      ([, attribute, double, single, bare]): [string, string] => [
+        attribute.toLowerCase(),
+        decodeEntities(double ?? single ?? bare ?? ''),
+      ]
+    );
+    tokens.push({ type: closing ? 'close' : 'open', name: name.toLowerCase(), attributes });
+  }
+
+  if (lastIndex < html.length) {
+    tokens.push({ type: 'text', text: html.slice(lastIndex) });
+  }
+
+  return tokens;
+};
+
+/**
+ * Keep only allowed elements and attributes
+ * @returns The sanitized HTML, a description of everything removed and of
+ * the unsafe part of it
+ */
+export const sanitizeTableHTML = (html: string | null | undefined) => {
+  const removed = new Set<string>();
+  // Scripts, embedded content, event handlers and script URLs
+  const unsafe = new Set<string>();
+  const stack: string[] = [];
+  let output = '';
+  let dropping: string | null = null;
+
+  for (const token of tokenize(html ?? '')) {
+    if (dropping) {
+      if (token.type === 'close' && token.name === dropping) {
+        dropping = null;
+      }
+      continue;
+    }
+
+    if (token.type === 'text') {
+      output += escapeText(token.text);
+      continue;
+    }
+
+    const allowedAttributes = ALLOWED_ELEMENTS[token.name];
+    if (!allowedAttributes) {
+      if (token.type === 'open') {
+        removed.add(`<${token.name}>`);
+        if (DROPPED_WITH_CONTENT.includes(token.name)) {
+          unsafe.add(`<${token.name}>`);
+          dropping = token.name;
+        }
+      }
+      continue;
+    }
+
+    if (token.type === 'close') {
+      // Close the element, and anything left open inside it
+      if (stack.includes(token.name)) {
+        while (stack.length > 0) {
+          const name = stack.pop();
+          output += `</${name}>`;
+          if (name === token.name) {
+            break;
+          }
+        }
+      }
+      continue;
+    }
+
+    const attributes = token.attributes
+      .filter(([name, value]) => {
+        const allowed = allowedAttributes[name]?.test(value.trim());
+        if (!allowed) {
+          removed.add(`${name} attribute on <${token.name}>`);
+          if (name.startsWith('on') || /^\s*(javascript|vbscript|data):/i.test(value)) {
+            unsafe.add(`${name} attribute on <${token.name}>`);
+          }
+        }
+        return allowed;
+      })
+      .map(([name, value]) => ` ${name}="${escapeAttribute(value.trim())}"`)
+      .join('');
+
+    output += `<${token.name}${attributes}>`;
+    if (!VOID_ELEMENTS.includes(token.name)) {
+      stack.push(token.name);
+    }
+  }
+
+  while (stack.length > 0) {
+    output += `</${stack.pop()}>`;
+  }
+
+  return { html: output.trim(), removed: [...removed], unsafe: [...unsafe] };
+};
+
+/**
+ * Caption, header cells and body rows of the first table, as plain text
+ */
+export const parseTable = (html: string | null | undefined): TableData => {
+  const { html: sanitized } = sanitizeTableHTML(html);
+  const table: TableData = { caption: null, headers: [], rows: [] };
+
+  const rows: Array<{ cells: string[]; header: boolean; inHead: boolean }> = [];
+  let section: string | null = null;
+  let row: { cells: string[]; header: boolean; inHead: boolean } | null = null;
+  let cell: string | null = null;
+  let caption: string | null = null;
+  let depth = 0;
+
+  for (const token of tokenize(sanitized)) {
+    if (token.type === 'text') {
+      const text = decodeEntities(token.text);
+      if (cell !== null) {
+        cell += text;
+      } else if (caption !== null) {
+        caption += text;
+      }
+      continue;
+    }
+
+    if (token.name === 'table') {
+      depth += token.type === 'open' ? 1 : -1;
+      if (token.type === 'close' && depth === 0) {
+        break;
+      }
+      continue;
+    }
+
+    // Nested tables are flattened into the cell text
+    if (depth > 1) {
+      continue;
+    }
+
+    if (token.type === 'open') {
+      if (['thead', 'tbody', 'tfoot'].includes(token.name)) {
+        section = token.name;
+      } else if (token.name === 'caption') {
+        caption = '';
+      } else if (token.name === 'tr') {
+        row = { cells: [], header: true, inHead: section === 'thead' };
+        rows.push(row);
+      } else if (CELL_ELEMENTS.includes(token.name) && row) {
+        cell = '';
+        row.header = row.header && token.name === 'th';
+      } else if (token.name === 'br' && cell !== null) {
+        cell += '\n';
+      }
+    } else if (CELL_ELEMENTS.includes(token.name) && row && cell !== null) {
+      row.cells.push(cell.replace(/[^\S\n]+/g, ' ').trim());
+      cell = null;
+    } else if (token.name === 'caption' && caption !== null) {
+      table.caption = caption.replace(/\s+/g, ' ').trim();
+      caption = null;
+    } else if (['thead', 'tbody', 'tfoot'].includes(token.name)) {
+      section = null;
+    }
+  }
+
+  const bodyRows = rows.filter((tableRow) => tableRow.cells.length > 0);
+  const headerRow =
+    bodyRows.find((tableRow) => tableRow.inHead) ?? (bodyRows[0]?.header ? bodyRows[0] : null);
+
+  table.headers = headerRow?.cells ?? [];
+  table.rows = bodyRows.filter((tableRow) => tableRow !== headerRow).map((tableRow) => tableRow.cells);
+
+  return table;
+};
+
+/**
+ * Problems with the structure of sanitized table HTML: it must be exactly
+ * one table, with at least one row
+ */
+const findStructureErrors = (html: string) => {
+  const problems: string[] = [];
+  let depth = 0;
+  let tables = 0;
+  let outside = false;
+
+  for (const token of tokenize(html)) {
+    if (token.name === 'table') {
+      depth += token.type === 'open' ? 1 : -1;
+      tables += token.type === 'open' && depth === 1 ? 1 : 0;
+    } else if (depth === 0 && (token.type !== 'text' || token.text.trim())) {
+      outside = true;
+    }
+  }
+
+  if (outside) {
+    problems.push('content outside of the <table> element');
+  }
+
+  if (tables !== 1) {
+    problems.push(tables === 0 ? 'no <table> element' : 'more than one table');
+  } else {
+    const { headers, rows } = parseTable(html);
+    if (headers.length === 0 && rows.length === 0) {
+      problems.push('no rows');
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Validate and normalize the HTML of a `table.htmltable` component
+ * Presentational markup (styles, classes, wrappers) is stripped; unsafe
+ * markup and invalid structure are rejected.
+ * @param path - Attribute path reported with the validation error
+ * @returns The sanitized HTML and its JSON form
+ * @throws {errors.ValidationError}
+ */
+export const normalizeTableHTML = (html: string | null | undefined, path: Array<string | number> = []) => {
+  if (!html?.trim()) {
+    return { html: html ?? null, data: null };
+  }
+
+  const { html: sanitized, unsafe } = sanitizeTableHTML(html);
+  const problems = unsafe.length > 0 ? [`unsafe markup: ${unsafe.join(', ')}`] : findStructureErrors(sanitized);
+
+  if (problems.length > 0) {
+    const message = `Invalid table HTML (${problems.join('; ')})`;
+    throw new errors.ValidationError(message, {
+      errors: [{ path: path.map(String), message, name: 'ValidationError', value: html }],
+    });
+  }
+
+  return { html: sanitized, data: parseTable(sanitized) };
+};
@@ -0,0 +1,169 @@
+/**
+ * Media Usage Helper - Resolves which entries use each file
+ * Joins `files` with Strapi's `files_related_morphs` table, following
+ * component join tables (`<collection>_components`) back to the owning entry.
+ * The shortened Strapi 5 table names (`files_related_mph`, `<collection>_cmps`)
+ * are used when present.
+ */
+
+const SchemaHelper = require('./schema-helper');
+
+const MORPH_TABLES = ['files_related_mph', 'files_related_morphs'];
+
+class MediaUsageHelper {
+  /**
+   * Map component rows to the content-type entries that own them
+   * @returns {Map<string, {uid: string, id: number, field: string}>} - keyed by `${componentUid}:${componentId}`
+   */
+  static async getComponentOwners(db, contentTypes) {
+    const owners = new Map();
+
+    for (const { uid, schema } of contentTypes) {
+      const joinTable = await db.findTable([
+        `${schema.collectionName}_cmps`,
+        `${schema.collectionName}_components`,
+      ]);
+      if (!joinTable) {
+        continue;
+      }
+
+      const links = await db.all(
+        `SELECT entity_id, cmp_id, component_type, field FROM "${joinTable}"`
+      );
+      links.forEach((link) => {
+        owners.set(`${link.component_type}:${link.cmp_id}`, {
+          uid,
+          id: link.entity_id,
+          field: link.field,
+        });
+      });
+    }
+
+    return owners;
+  }
+
+  /**
+   * Load the entries of every content type, keyed by `${uid}:${id}`
+   */
+  static async getEntries(db, contentTypes) {
+    const entries = new Map();
+
+    for (const { uid, schema } of contentTypes) {
+      if (!(await db.tableExists(schema.collectionName))) {
+        continue;
+      }
+
+      const displayField = SchemaHelper.getDisplayField(schema);
+      const labelColumn = displayField ? `, "${SchemaHelper.toColumnName(displayField)}" AS label` : '';
+      const rows = await db.all(
+        `SELECT id, document_id, published_at${labelColumn} FROM "${schema.collectionName}"`
+      );
+      rows.forEach((row) => entries.set(`${uid}:${row.id}`, row));
+    }
+
+    return entries;
+  }
+
+  /**
+   * Resolve every usage of every file
+   * @returns {Promise<Array<{file: Object, usages: Array}>>}
+   */
+  static async analyze(db) {
+    const contentTypes = SchemaHelper.getContentTypes();
+    const files = await db.all(
+      'SELECT id, name, url, mime, size, provider, created_at FROM files ORDER BY id'
+    );
+    const morphTable = await db.findTable(MORPH_TABLES);
+    const morphs = morphTable
+      ? await db.all(`SELECT file_id, related_id, related_type, field FROM "${morphTable}"`)
+      : [];
+
+    const componentOwners = await this.getComponentOwners(db, contentTypes);
+    const entries = await this.getEntries(db, contentTypes);
+
+    const usagesByFile = new Map();
+
+    morphs.forEach((morph) => {
+      let ownerUid = morph.related_type;
+      let ownerId = morph.related_id;
+      let field = morph.field;
+
+      if (!ownerUid.startsWith('api::')) {
+        const owner = componentOwners.get(`${morph.related_type}:${morph.related_id}`);
+        if (owner) {
+          ownerUid = owner.uid;
+          ownerId = owner.id;
+          field = `${owner.field}.${morph.field}`;
+        }
+      }
+
+      const entry = entries.get(`${ownerUid}:${ownerId}`);
+      const usage = {
+        content_type: ownerUid,
+        document_id: entry ? entry.document_id : null,
+        entry_id: ownerId,
+        label: entry ? entry.label || null : null,
+        field,
+        status: !entry ? 'unknown' : entry.published_at ? 'published' : 'draft',
+      };
+
+      if (!usagesByFile.has(morph.file_id)) {
+        usagesByFile.set(morph.file_id, []);
+      }
+      usagesByFile.get(morph.file_id).push(usage);
+    });
+
+    return files.map((file) => ({ file, usages: usagesByFile.get(file.id) || [] }));
+  }
+
+  /**
+   * Build the usage report
+   * - unused: files no entry or component references
+   * - drafts_only: files referenced only by draft versions
+   * - shared: files referenced by more than one entry (document)
+   */
+  static async buildReport(db) {
+    const results = await this.analyze(db);
+
+    const toFile = ({ file, usages }) => ({
+      id: file.id,
+      name: file.name,
+      url: file.url,
+      mime: file.mime,
+      size: file.size,
+      provider: file.provider,
+      created_at: file.created_at,
+      ...(usages.length > 0 ? { usages } : {}),
+    });
+
+    const countEntries = (usages) =>
+      new Set(usages.map((usage) => `${usage.content_type}:${usage.document_id || usage.entry_id}`))
+        .size;
+
+    const unused = results.filter(({ usages }) => usages.length === 0);
+    const draftsOnly = results.filter(
+      ({ usages }) => usages.length > 0 && usages.every((usage) => usage.status === 'draft')
+    );
+    const shared = results.filter(({ usages }) => countEntries(usages) > 1);
+
+    return {
+      generated_at: new Date().toISOString(),
+      database_type: db.client,
+      summary: {
+        total_files: results.length,
+        used: results.length - unused.length,
+        unused: unused.length,
+        drafts_only: draftsOnly.length,
+        shared: shared.length,
+        unused_size_kb: Number(
+          unused.reduce((sum, { file }) => sum + Number(file.size || 0), 0).toFixed(2)
+        ),
+      },
+      unused: unused.map(toFile),
+      drafts_only: draftsOnly.map(toFile),
+      shared: shared.map((result) => ({ ...toFile(result), entries: countEntries(result.usages) })),
+    };
+  }
+}
+
+module.exports = MediaUsageHelper;
@@ -0,0 +1,308 @@
+/**
+ * R2 Uploader - Handles file uploads to Cloudflare R2
+ * Uses AWS S3 SDK with custom endpoint
+ */
+
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  HeadObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectsCommand,
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+class R2Uploader {
+  constructor(config) {
+    this.client = new S3Client({
+      region: config.region || 'auto',
+      endpoint: config.endpoint,
+      credentials: {
+        accessKeyId: config.accessKeyId,
+        secretAccessKey: config.secretAccessKey,
+      },
+      forcePathStyle: true,
+      signatureVersion: 'v4',
+    });
+    this.bucket = config.bucket;
+    this.region = config.region || 'auto';
+    this.endpoint = config.endpoint;
+    this.publicUrl = config.publicUrl; // Custom domain for public access
+  }
+
+  /**
+   * Upload file buffer to R2
+   * @param {Object} params - Upload parameters
+   * @param {Buffer} params.buffer - File buffer
+   * @param {string} params.key - File key (path in bucket)
+   * @param {string} params.contentType - MIME type
+   * @returns {Promise<string>} - Public URL of uploaded file
+   */
+  async upload({ buffer, key, contentType }) {
+    try {
+      // For large files, use multipart upload
+      if (buffer.length > 5 * 1024 * 1024) {
+        return await this.multipartUpload({ buffer, key, contentType });
+      }
+
+      // For small files, use simple put
+      const command = new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+      });
+
+      await this.client.send(command);
+
+      // Construct public URL
+      return this.getPublicUrl(key);
+    } catch (error) {
+      throw new Error(`Failed to upload to R2: ${error.message}`);
+    }
+  }
+
+  /**
+   * Multipart upload for large files
+   */
+  async multipartUpload({ buffer, key, contentType }) {
+    try {
+      const upload = new Upload({
+        client: this.client,
+        params: {
+          Bucket: this.bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+        },
+        partSize: 5 * 1024 * 1024, // 5MB chunks
+        queueSize: 4, // 4 concurrent uploads
+      });
+
+      await upload.done();
+
+      return this.getPublicUrl(key);
+    } catch (error) {
+      throw new Error(`Failed multipart upload to R2: ${error.message}`);
+    }
+  }
+
+  /**
+   * Upload a local file to R2, streamed in multipart chunks so the file is
+   * never read into memory as a whole (e.g. database backups)
+   * @param {Object} params - Upload parameters
+   * @param {string} params.filePath - Path of the local file
+   * @param {string} params.key - File key (path in bucket)
+   * @param {string} params.contentType - MIME type
+   * @returns {Promise<string>} - Public URL of uploaded file
+   */
+  async uploadFile({ filePath, key, contentType }) {
+    try {
+      const upload = new Upload({
+        client: this.client,
+        params: {
+          Bucket: this.bucket,
+          Key: key,
+          Body: fs.createReadStream(filePath),
+          ContentType: contentType,
+        },
+        partSize: 5 * 1024 * 1024, // 5MB chunks
+        queueSize: 1, // keeps at most one chunk in flight
+      });
+
+      await upload.done();
+
+      return this.getPublicUrl(key);
+    } catch (error) {
+      throw new Error(`Failed to upload to R2: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if file exists in R2
+   * @param {string} key - File key
+   * @returns {Promise<boolean>}
+   */
+  async fileExists(key) {
+    try {
+      const command = new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+      });
+
+      await this.client.send(command);
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get object metadata
+   * @param {string} key - File key
+   * @returns {Promise<{size: number, contentType: string, etag: string, lastModified: Date}|null>}
+   *   - null if the object does not exist
+   */
+  async getFileInfo(key) {
+    try {
+      const command = new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+      });
+
+      const response = await this.client.send(command);
+      return {
+        size: response.ContentLength,
+        contentType: response.ContentType,
+        etag: response.ETag,
+        lastModified: response.LastModified,
+      };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Download file from the bucket
+   * @param {string} key - File key
+   * @returns {Promise<Buffer>} - File buffer
+   */
+  async download(key) {
+    try {
+      const command = new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+      });
+
+      const response = await this.client.send(command);
+      const bytes = await response.Body.transformToByteArray();
+      return Buffer.from(bytes);
+    } catch (error) {
+      throw new Error(`Failed to download from bucket: ${error.message}`);
+    }
+  }
+
+  /**
+   * List all objects in the bucket
+   * @param {string} [prefix] - Only list keys starting with this prefix
+   * @returns {Promise<Array<{key: string, size: number, lastModified: Date}>>}
+   */
+  async listObjects(prefix) {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const command = new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken,
+      });
+
+      const response = await this.client.send(command);
+      (response.Contents || []).forEach((object) => {
+        objects.push({
+          key: object.Key,
+          size: object.Size,
+          lastModified: object.LastModified,
+        });
+      });
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  /**
+   * Delete objects from the bucket (in batches of 1000, the S3 limit)
+   * @param {string[]} keys - File keys
+   * @returns {Promise<{deleted: string[], errors: Array<{key: string, message: string}>}>}
+   */
+  async deleteObjects(keys) {
+    const deleted = [];
+    const errors = [];
+
+    for (let i = 0; i < keys.length; i += 1000) {
+      const command = new DeleteObjectsCommand({
+        Bucket: this.bucket,
+        Delete: {
+          Objects: keys.slice(i, i + 1000).map((key) => ({ Key: key })),
+          Quiet: false,
+        },
+      });
+
+      const response = await this.client.send(command);
+      (response.Deleted || []).forEach((object) => deleted.push(object.Key));
+      (response.Errors || []).forEach((error) =>
+        errors.push({ key: error.Key, message: error.Message })
+      );
+    }
+
+    return { deleted, errors };
+  }
+
+  /**
+   * Get public URL for a file
+   * @param {string} key - File key
+   * @returns {string} - Public URL
+   */
+  getPublicUrl(key) {
+    // Use custom domain if configured, otherwise fall back to R2 URL
+    if (this.publicUrl) {
+      return `${this.publicUrl}/${key}`;
+    }
+    // Fallback to R2 public URL format
+    if (this.isR2()) {
+      const accountId = this.extractAccountId();
+      return `https://${this.bucket}.${accountId}.r2.cloudflarestorage.com/${key}`;
+    }
+    // Other S3-compatible stores use path-style URLs on their endpoint
+    if (this.endpoint) {
+      return `${this.endpoint.replace(/\/+$/, '')}/${this.bucket}/${key}`;
+    }
+    // Plain AWS S3
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${key}`;
+  }
+
+  /**
+   * Whether the endpoint points at Cloudflare R2
+   */
+  isR2() {
+    return Boolean(this.endpoint && /\.r2\.cloudflarestorage\.com/.test(this.endpoint));
+  }
+
+  /**
+   * Extract account ID from endpoint
+   */
+  extractAccountId() {
+    // Endpoint format: https://{accountId}.r2.cloudflarestorage.com
+    const match = this.endpoint.match(/https:\/\/([^.]+)\.r2\.cloudflarestorage\.com/);
+    if (match) {
+      return match[1];
+    }
+    throw new Error('Invalid R2 endpoint format');
+  }
+
+  /**
+   * Create uploader from environment variables
+   */
+  static fromEnv(env) {
+    return new R2Uploader({
+      accessKeyId: env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: env.AWS_ACCESS_SECRET,
+      region: env.AWS_REGION || 'auto',
+      bucket: env.AWS_BUCKET,
+      endpoint: env.AWS_ENDPOINT,
+      publicUrl: env.R2_PUBLIC_URL, // Custom domain, e.g., https://cdn.z-image.ai
+    });
+  }
+}
+
+module.exports = R2Uploader;
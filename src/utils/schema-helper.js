@@ -0,0 +1,120 @@
+/**
+ * Schema Helper - Reads Strapi content-type and component schemas from src/
+ * and maps them to database tables and columns
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SRC_DIR = path.resolve(__dirname, '..');
+
+// Attribute types stored as free text or JSON that may embed media URLs
+const TEXT_ATTRIBUTE_TYPES = ['string', 'text', 'richtext', 'blocks'];
+
+class SchemaHelper {
+  /**
+   * Convert an attribute name to its database column name
+   */
+  static toColumnName(attribute) {
+    return attribute.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+  }
+
+  /**
+   * Load all API content-type schemas
+   * @returns {Array<{uid: string, schema: Object}>}
+   */
+  static getContentTypes() {
+    const apiDir = path.join(SRC_DIR, 'api');
+    if (!fs.existsSync(apiDir)) {
+      return [];
+    }
+
+    return fs
+      .readdirSync(apiDir)
+      .flatMap((apiName) => {
+        const typesDir = path.join(apiDir, apiName, 'content-types');
+        if (!fs.existsSync(typesDir)) {
+          return [];
+        }
+        return fs.readdirSync(typesDir).map((typeName) => ({
+          uid: `api::${apiName}.${typeName}`,
+          schema: JSON.parse(
+            fs.readFileSync(path.join(typesDir, typeName, 'schema.json'), 'utf8')
+          ),
+        }));
+      });
+  }
+
+  /**
+   * Load a component schema by UID (e.g. `rich-text.rich-text`)
+   */
+  static getComponent(uid) {
+    const [category, name] = uid.split('.');
+    const schemaPath = path.join(SRC_DIR, 'components', category, `${name}.json`);
+    if (!fs.existsSync(schemaPath)) {
+      throw new Error(`Component schema not found: ${uid}`);
+    }
+    return JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  }
+
+  /**
+   * Attribute used to label entries in reports (first string or uid attribute)
+   */
+  static getDisplayField(schema) {
+    const entry = Object.entries(schema.attributes).find(([, attribute]) =>
+      ['string', 'uid'].includes(attribute.type)
+    );
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * Component and dynamic zone attributes of a schema
+   * @returns {Array<{name: string, components: string[]}>}
+   */
+  static getComponentAttributes(schema) {
+    return Object.entries(schema.attributes)
+      .filter(([, attribute]) => ['component', 'dynamiczone'].includes(attribute.type))
+      .map(([name, attribute]) => ({
+        name,
+        components: attribute.type === 'component' ? [attribute.component] : attribute.components,
+      }));
+  }
+
+  /**
+   * List every text/blocks column of the content types and of the components
+   * they use (components, dynamic zones)
+   * @returns {Array<{table: string, column: string, type: string, source: string}>}
+   */
+  static getTextColumns() {
+    const columns = [];
+    const seen = new Set();
+
+    const collect = (schema, source) => {
+      if (seen.has(schema.collectionName)) {
+        return;
+      }
+      seen.add(schema.collectionName);
+
+      Object.entries(schema.attributes).forEach(([name, attribute]) => {
+        if (TEXT_ATTRIBUTE_TYPES.includes(attribute.type)) {
+          columns.push({
+            table: schema.collectionName,
+            column: this.toColumnName(name),
+            type: attribute.type,
+            source: `${source}.${name}`,
+          });
+        } else if (attribute.type === 'component') {
+          collect(this.getComponent(attribute.component), attribute.component);
+        } else if (attribute.type === 'dynamiczone') {
+          attribute.components.forEach((uid) => collect(this.getComponent(uid), uid));
+        }
+      });
+    };
+
+    this.getContentTypes().forEach(({ uid, schema }) => collect(schema, uid));
+
+    return columns;
+  }
+}
+
+module.exports = SchemaHelper;
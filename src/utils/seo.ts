@@ -0,0 +1,306 @@
+/**
+ * Search and social metadata of posts and categories
+ *
+ * Built from the entry's `seo.seo` component, falling back to the entry
+ * itself (title, description, featured image) and then to its site (`seo`
+ * component, then `default_seo_*` fields). The output is ready for a page
+ * `<head>`: a title, `<meta>` tags and JSON-LD objects.
+ */
+
+import { errors } from '@strapi/utils';
+import { blocksToText } from './content-blocks';
+
+export interface SeoComponent {
+  meta_title?: string | null;
+  meta_description?: string | null;
+  canonical_url?: string | null;
+  og_image?: Media | null;
+  no_index?: boolean | null;
+  no_follow?: boolean | null;
+  structured_data?: unknown;
+}
+
+interface Media {
+  url: string;
+  mime?: string;
+  width?: number | null;
+  height?: number | null;
+  alternativeText?: string | null;
+}
+
+export interface SeoSite {
+  site: string;
+  // Site locale; `locale` itself is an attribute i18n reserves on every content type
+  language?: string | null;
+  default_seo_title?: string | null;
+  default_seo_description?: string | null;
+  default_og_image?: Media | null;
+  seo?: SeoComponent | null;
+}
+
+export interface SeoContext {
+  // Frontend URL of the entry and of its site
+  url: string;
+  siteUrl: string;
+  site: SeoSite | null;
+  resolveUrl: (url: string) => string;
+}
+
+export interface MetaTag {
+  name?: string;
+  property?: string;
+  content: string;
+}
+
+export interface SeoMeta {
+  title: string;
+  description: string | null;
+  canonical_url: string;
+  robots: string;
+  image: { url: string; width: number | null; height: number | null; alt: string | null } | null;
+  tags: MetaTag[];
+  json_ld: Record<string, unknown>[];
+}
+
+// Search engines cut descriptions and headlines around these lengths
+const DESCRIPTION_LENGTH = 160;
+const HEADLINE_LENGTH = 110;
+
+const SCHEMA_CONTEXT = 'https://schema.org';
+
+/**
+ * Shorten text to a length at a word boundary, with an ellipsis
+ */
+export const truncate = (text: string | null | undefined, length: number) => {
+  const value = (text ?? '').replace(/\s+/g, ' ').trim();
+  if (value.length <= length) {
+    return value || null;
+  }
+  const cut = value.slice(0, length - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+};
+
+// Drop empty values, so JSON-LD only has what is known
+const compact = (object: Record<string, unknown>) =>
+  Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== null && value !== undefined && value !== '')
+  );
+
+const isAbsoluteUrl = (value: string) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const toImage = (media: Media | null | undefined, resolveUrl: (url: string) => string) =>
+  media?.url && (!media.mime || media.mime.startsWith('image/'))
+    ? {
+        url: resolveUrl(media.url),
+        width: media.width ?? null,
+        height: media.height ?? null,
+        alt: media.alternativeText ?? null,
+      }
+    : null;
+
+/**
+ * Custom JSON-LD of a `seo` component, as a list of schema.org objects
+ */
+const customStructuredData = (seo: SeoComponent | null | undefined) =>
+  [].concat(seo?.structured_data ?? [])
+    .filter((item) => item && typeof item === 'object' && !Array.isArray(item))
+    .map((item) => ({ '@context': SCHEMA_CONTEXT, ...item }));
+
+/**
+ * Title, description, image, robots and tags shared by every entry type
+ */
+const buildMeta = (
+  {
+    seo,
+    title,
+    description,
+    image,
+    type,
+    tags = [],
+  }: {
+    seo: SeoComponent | null | undefined;
+    title: string | null | undefined;
+    description: string | null | undefined;
+    image: Media | null | undefined;
+    type: string;
+    tags?: MetaTag[];
+  },
+  { url, site, resolveUrl }: SeoContext
+) => {
+  const metaTitle = seo?.meta_title || title || site?.seo?.meta_title || site?.default_seo_title || '';
+  const metaDescription =
+    seo?.meta_description ||
+    truncate(description, DESCRIPTION_LENGTH) ||
+    site?.seo?.meta_description ||
+    site?.default_seo_description ||
+    null;
+  const metaImage = toImage(
+    seo?.og_image ?? image ?? site?.seo?.og_image ?? site?.default_og_image,
+    resolveUrl
+  );
+  const canonical = seo?.canonical_url || url;
+  // A site marked noindex (e.g. staging) hides all of its entries
+  const robots = [
+    seo?.no_index || site?.seo?.no_index ? 'noindex' : 'index',
+    seo?.no_follow || site?.seo?.no_follow ? 'nofollow' : 'follow',
+  ].join(', ');
+
+  const allTags: MetaTag[] = [
+    { name: 'description', content: metaDescription },
+    { name: 'robots', content: robots },
+    { property: 'og:type', content: type },
+    { property: 'og:title', content: metaTitle },
+    { property: 'og:description', content: metaDescription },
+    { property: 'og:url', content: canonical },
+    { property: 'og:site_name', content: site?.site },
+    { property: 'og:locale', content: site?.language?.replace('-', '_') },
+    { property: 'og:image', content: metaImage?.url },
+    { property: 'og:image:width', content: metaImage?.width?.toString() },
+    { property: 'og:image:height', content: metaImage?.height?.toString() },
+    { property: 'og:image:alt', content: metaImage?.alt },
+    ...tags,
+    { name: 'twitter:card', content: metaImage ? 'summary_large_image' : 'summary' },
+    { name: 'twitter:title', content: metaTitle },
+    { name: 'twitter:description', content: metaDescription },
+    { name: 'twitter:image', content: metaImage?.url },
+  ];
+
+  return {
+    title: metaTitle,
+    description: metaDescription,
+    canonical_url: canonical,
+    robots,
+    image: metaImage,
+    tags: allTags.filter((tag) => tag.content),
+  };
+};
+
+/**
+ * Metadata of a post, with `BlogPosting` JSON-LD
+ * @param post - Post with `seo.og_image`, `featured_image`, `auther.avatar`
+ * and `category` populated
+ */
+export const postSeoMeta = (post, context: SeoContext): SeoMeta => {
+  const meta = buildMeta(
+    {
+      seo: post.seo,
+      title: post.title,
+      description: post.description,
+      image: post.featured_image,
+      type: 'article',
+      tags: [
+        { property: 'article:published_time', content: post.publishedAt },
+        { property: 'article:modified_time', content: post.updatedAt },
+        { property: 'article:section', content: post.category?.name },
+        { property: 'article:author', content: post.auther?.name },
+      ],
+    },
+    context
+  );
+
+  const avatar = toImage(post.auther?.avatar, context.resolveUrl);
+  const blogPosting = compact({
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'BlogPosting',
+    headline: truncate(post.title, HEADLINE_LENGTH),
+    description: meta.description,
+    url: meta.canonical_url,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': meta.canonical_url },
+    image: meta.image ? [meta.image.url] : null,
+    datePublished: post.publishedAt,
+    dateModified: post.updatedAt,
+    author: post.auther?.name
+      ? compact({ '@type': 'Person', name: post.auther.name, image: avatar?.url })
+      : null,
+    publisher: context.site ? { '@type': 'Organization', name: context.site.site, url: context.siteUrl } : null,
+    articleSection: post.category?.name,
+    wordCount: post.word_count,
+    timeRequired: post.reading_time ? `PT${post.reading_time}M` : null,
+    inLanguage: context.site?.language,
+  });
+
+  return { ...meta, json_ld: [blogPosting, ...customStructuredData(post.seo)] };
+};
+
+/**
+ * Metadata of a category, with `CollectionPage` JSON-LD
+ * @param category - Category with `seo.og_image` populated
+ */
+export const categorySeoMeta = (category, context: SeoContext): SeoMeta => {
+  const meta = buildMeta(
+    {
+      seo: category.seo,
+      title: category.name,
+      description: blocksToText(category.description),
+      image: null,
+      type: 'website',
+    },
+    context
+  );
+
+  const collectionPage = compact({
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'CollectionPage',
+    name: meta.title,
+    description: meta.description,
+    url: meta.canonical_url,
+    inLanguage: context.site?.language,
+    isPartOf: context.site ? { '@type': 'WebSite', name: context.site.site, url: context.siteUrl } : null,
+  });
+
+  return { ...meta, json_ld: [collectionPage, ...customStructuredData(category.seo)] };
+};
+
+/**
+ * Validate a `seo.seo` component: the canonical URL must be absolute and
+ * structured data a JSON-LD object or a list of them
+ * @param path - Path of the component, reported with validation errors
+ * @throws {errors.ValidationError}
+ */
+export const normalizeSeo = (component: SeoComponent, path: Array<string | number> = []) => {
+  const problems: Array<{ attribute: string; message: string; value: unknown }> = [];
+  const result = { ...component };
+
+  if (component.canonical_url !== undefined) {
+    result.canonical_url = component.canonical_url?.trim() || null;
+    if (result.canonical_url && !isAbsoluteUrl(result.canonical_url)) {
+      problems.push({
+        attribute: 'canonical_url',
+        message: 'Canonical URL must be an absolute http(s) URL',
+        value: component.canonical_url,
+      });
+    }
+  }
+
+  const structuredData = component.structured_data;
+  if (
+    structuredData !== undefined &&
+    structuredData !== null &&
+    [].concat(structuredData).some((item) => !item || typeof item !== 'object' || Array.isArray(item))
+  ) {
+    problems.push({
+      attribute: 'structured_data',
+      message: 'Structured data must be a JSON-LD object or a list of objects',
+      value: structuredData,
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new errors.ValidationError(problems.map(({ message }) => message).join('; '), {
+      errors: problems.map(({ attribute, message, value }) => ({
+        path: [...path, attribute].map(String),
+        message,
+        name: 'ValidationError',
+        value,
+      })),
+    });
+  }
+
+  return result;
+};
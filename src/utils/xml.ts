@@ -0,0 +1,13 @@
+/**
+ * XML helpers for feeds and sitemaps
+ */
+
+export const escapeXML = (text: string | null | undefined) =>
+  (text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+export const cdata = (text: string) => `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
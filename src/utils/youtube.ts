@@ -0,0 +1,156 @@
+/**
+ * Helpers for YouTube videos stored as a URL or a bare video ID
+ */
+
+import { errors } from '@strapi/utils';
+
+export interface YouTubeVideo {
+  id: string;
+  // Start offset in seconds
+  start: number | null;
+  playlist: string | null;
+}
+
+const VIDEO_ID = /^[\w-]{11}$/;
+
+// Bare video ID followed by query parameters, e.g. `dQw4w9WgXcQ?t=30` or `dQw4w9WgXcQ&t=1m30s`
+const VIDEO_ID_WITH_PARAMS = /^([\w-]{11})[?&#](.*)$/;
+
+const YOUTUBE_HOSTS = [
+  'youtube.com',
+  'www.youtube.com',
+  'm.youtube.com',
+  'music.youtube.com',
+  'youtube-nocookie.com',
+  'www.youtube-nocookie.com',
+];
+
+// Paths carrying the video ID as their second segment
+const ID_PATHS = ['embed', 'shorts', 'live', 'v', 'e'];
+
+/**
+ * Seconds of a `t` / `start` value: `90`, `90s`, `1m30s` or `1h2m3s`
+ */
+const parseTime = (value: string | null) => {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+
+  const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (!match || !match[0]) {
+    return null;
+  }
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+};
+
+/**
+ * Video with the start offset (`t` or `start`) and playlist of query parameters
+ */
+const toVideo = (id: string, params: URLSearchParams): YouTubeVideo => {
+  const playlist = params.get('list');
+  return {
+    id,
+    start: parseTime(params.get('t') ?? params.get('start')),
+    playlist: playlist && /^[\w-]+$/.test(playlist) ? playlist : null,
+  };
+};
+
+/**
+ * Video ID, start offset and playlist of a YouTube URL or video ID
+ * @returns null when the value is not a YouTube video
+ */
+export const parseYouTube = (value: string | null | undefined): YouTubeVideo | null => {
+  const input = (value ?? '').trim();
+  if (VIDEO_ID.test(input)) {
+    return { id: input, start: null, playlist: null };
+  }
+
+  const bareId = input.match(VIDEO_ID_WITH_PARAMS);
+  if (bareId) {
+    return toVideo(bareId[1], new URLSearchParams(bareId[2]));
+  }
+
+  let url: URL;
+  try {
+    url = new URL(/^[a-z]+:\/\//i.test(input) ? input : `https://${input}`);
+  } catch {
+    return null;
+  }
+
+  const host = url.hostname.toLowerCase();
+  const [first, second] = url.pathname.split('/').filter(Boolean);
+  let id: string | undefined;
+
+  if (host === 'youtu.be') {
+    id = first;
+  } else if (YOUTUBE_HOSTS.includes(host)) {
+    id = first === 'watch' ? url.searchParams.get('v') : ID_PATHS.includes(first) ? second : undefined;
+  }
+
+  if (!id || !VIDEO_ID.test(id)) {
+    return null;
+  }
+
+  return toVideo(id, url.searchParams);
+};
+
+/**
+ * Privacy-enhanced embed URL (no cookies until the visitor plays the video)
+ */
+export const toEmbedUrl = ({ id, start, playlist }: YouTubeVideo) => {
+  const params = new URLSearchParams();
+  if (start) {
+    params.set('start', String(start));
+  }
+  if (playlist) {
+    params.set('list', playlist);
+  }
+  const query = params.toString();
+  return `https://www.youtube-nocookie.com/embed/${id}${query ? `?${query}` : ''}`;
+};
+
+export const toWatchUrl = ({ id, start, playlist }: YouTubeVideo) =>
+  `https://www.youtube.com/watch?v=${id}${start ? `&t=${start}s` : ''}${
+    playlist ? `&list=${encodeURIComponent(playlist)}` : ''
+  }`;
+
+export const toThumbnailUrl = ({ id }: YouTubeVideo) => `https://i.ytimg.com/vi/${id}/hqdefault.jpg`;
+
+/**
+ * Validate a `youtube-video.youtube-video` value and derive its stored fields
+ * @param path - Attribute path reported with the validation error
+ * @throws {errors.ValidationError}
+ */
+export const normalizeYouTube = (value: string | null | undefined, path: Array<string | number> = []) => {
+  if (!value?.trim()) {
+    return {
+      youtube_video: null,
+      video_id: null,
+      start_time: null,
+      playlist_id: null,
+      thumbnail_url: null,
+      embed_url: null,
+    };
+  }
+
+  const video = parseYouTube(value);
+  if (!video) {
+    const message = 'Not a YouTube video URL or ID (e.g. https://youtu.be/dQw4w9WgXcQ or dQw4w9WgXcQ)';
+    throw new errors.ValidationError(message, {
+      errors: [{ path: path.map(String), message, name: 'ValidationError', value }],
+    });
+  }
+
+  return {
+    youtube_video: toWatchUrl(video),
+    video_id: video.id,
+    start_time: video.start,
+    playlist_id: video.playlist,
+    thumbnail_url: toThumbnailUrl(video),
+    embed_url: toEmbedUrl(video),
+  };
+};
@@ -0,0 +1,122 @@
+/**
+ * Build hooks: batching per site, signed deliveries and retries
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { default: buildHookService } = require('../src/api/build-hook/services/build-hook');
+
+const CONFIG = { secret: 'global-secret', debounce: 30000, maxWait: 300000, retries: 1, timeout: 1000, logSize: 10 };
+
+const site = (documentId, extra = {}) => ({
+  documentId,
+  site: documentId,
+  domain: `${documentId}.example.com`,
+  build_hook_url: `https://hooks.example.com/${documentId}`,
+  build_hook_secret: null,
+  ...extra,
+});
+
+/**
+ * Build hook service with an in-memory store, calling a mocked fetch
+ * @param responses - HTTP statuses returned by successive calls
+ */
+function createBuildHooks(t, responses = [200]) {
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    requests.push({ url, ...init, body: JSON.parse(init.body), rawBody: init.body });
+    const status = responses[Math.min(requests.length - 1, responses.length - 1)];
+    return { ok: status < 300, status };
+  });
+
+  const store = new Map();
+  const strapi = {
+    config: { get: () => CONFIG },
+    log: { info() {}, error() {} },
+    store: {
+      get: async ({ key }) => store.get(key),
+      set: async ({ key, value }) => store.set(key, value),
+    },
+  };
+
+  return { service: buildHookService({ strapi }), requests };
+}
+
+test('changes are batched per site until the debounce delay passes', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { service, requests } = createBuildHooks(t);
+  const event = (documentId) => ({ event: 'entry.publish', uid: 'api::post.post', documentId });
+
+  service.queue([site('blog'), site('docs'), site('blog')], event('p1'));
+  t.mock.timers.tick(CONFIG.debounce - 1);
+  service.queue([site('blog')], event('p2'));
+  t.mock.timers.tick(CONFIG.debounce - 1);
+  assert.strictEqual(requests.length, 0);
+
+  t.mock.timers.tick(1);
+  await new Promise(setImmediate);
+
+  const batches = Object.fromEntries(
+    requests.map(({ body }) => [body.site.site, body.events.map(({ documentId }) => documentId)])
+  );
+  assert.deepStrictEqual(batches, { blog: ['p1', 'p2'], docs: ['p1'] });
+});
+
+test('batches are sent at the latest maxWait after their first change', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { service, requests } = createBuildHooks(t);
+
+  for (let elapsed = 0; elapsed < CONFIG.maxWait; elapsed += CONFIG.debounce - 1) {
+    service.queue([site('blog')], { event: 'entry.update', uid: 'api::post.post', documentId: 'p1' });
+    t.mock.timers.tick(CONFIG.debounce - 1);
+  }
+  await new Promise(setImmediate);
+
+  assert.strictEqual(requests.length, 1);
+});
+
+test('deliveries are signed with the site secret or the global one', async (t) => {
+  const { service, requests } = createBuildHooks(t);
+
+  service.queue([site('blog', { build_hook_secret: 'blog-secret' }), site('docs')], {
+    event: 'entry.publish',
+    uid: 'api::post.post',
+    documentId: 'p1',
+  });
+  await service.flush();
+
+  for (const request of requests) {
+    const key = request.body.site.site === 'blog' ? 'blog-secret' : 'global-secret';
+    const timestamp = request.headers['X-Build-Hook-Timestamp'];
+    const expected = crypto.createHmac('sha256', key).update(`${timestamp}.${request.rawBody}`).digest('hex');
+    assert.strictEqual(request.headers['X-Build-Hook-Signature'], `sha256=${expected}`);
+  }
+  assert.strictEqual(requests.length, 2);
+});
+
+test('server errors are retried, client errors are not', async (t) => {
+  const retried = createBuildHooks(t, [503, 200]);
+  retried.service.queue([site('blog')], { event: 'entry.publish', uid: 'api::post.post', documentId: 'p1' });
+  const [delivery] = await retried.service.flush();
+
+  assert.strictEqual(delivery.status, 'success');
+  assert.strictEqual(delivery.attempts, 2);
+  assert.deepStrictEqual(
+    retried.requests.map((request) => request.headers['X-Build-Hook-Attempt']),
+    ['1', '2']
+  );
+
+  t.mock.restoreAll();
+  const rejected = createBuildHooks(t, [404]);
+  rejected.service.queue([site('blog')], { event: 'entry.publish', uid: 'api::post.post', documentId: 'p1' });
+  const [failed] = await rejected.service.flush();
+
+  assert.strictEqual(failed.status, 'failed');
+  assert.strictEqual(failed.attempts, 1);
+  assert.strictEqual(failed.error, 'HTTP 404');
+  assert.deepStrictEqual(
+    (await rejected.service.getDeliveries()).map(({ status, host }) => [status, host]),
+    [['failed', 'hooks.example.com']]
+  );
+});
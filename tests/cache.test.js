@@ -0,0 +1,166 @@
+/**
+ * Response cache: hits, conditional requests, authenticated requests and
+ * purges by surrogate key
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { default: cacheMiddleware } = require('../src/middlewares/cache');
+const { default: cacheService } = require('../src/api/cache/services/cache');
+
+const CONFIG = { enabled: true, store: 'memory', max: 100, ttl: 60, maxAge: 0, sMaxAge: 60 };
+
+/**
+ * Middleware backed by a real cache service with an in-memory store
+ */
+function createCache() {
+  const log = { debug() {}, warn() {}, error() {} };
+  const strapi = { config: { get: () => CONFIG }, log };
+  const service = cacheService({ strapi });
+  strapi.service = () => service;
+
+  return { service, middleware: cacheMiddleware({}, { strapi }) };
+}
+
+/**
+ * Minimal Koa context: request headers, response headers and the `fresh`
+ * check of conditional GET requests
+ */
+function createContext(url, headers = {}) {
+  const [path] = url.split('?');
+  const response = {};
+
+  return {
+    method: 'GET',
+    url,
+    path,
+    state: {},
+    status: 404,
+    body: undefined,
+    type: undefined,
+    response: { get: (name) => response[name.toLowerCase()] ?? '' },
+    get: (name) => headers[name.toLowerCase()] ?? '',
+    set(name, value) {
+      response[name.toLowerCase()] = value;
+    },
+    set etag(value) {
+      response.etag = value;
+    },
+    get fresh() {
+      return Boolean(headers['if-none-match']) && headers['if-none-match'] === response.etag;
+    },
+    header: response,
+  };
+}
+
+/**
+ * Run a request through the middleware; the route handler returns `body`
+ * @returns The context and whether the route handler ran
+ */
+async function request(middleware, url, body, headers) {
+  const ctx = createContext(url, headers);
+  let routed = false;
+  await middleware(ctx, async () => {
+    routed = true;
+    ctx.status = 200;
+    ctx.body = body;
+    ctx.set('Content-Type', 'application/json');
+  });
+  return { ctx, routed };
+}
+
+test('repeated anonymous reads are served from the cache', async () => {
+  const { middleware } = createCache();
+  const body = { data: { documentId: 'post-1', title: 'Hello' } };
+
+  const miss = await request(middleware, '/api/posts/hello', body);
+  assert.ok(miss.routed);
+  assert.strictEqual(miss.ctx.header['x-cache'], 'MISS');
+  assert.strictEqual(miss.ctx.header['surrogate-key'], 'post-1 category auther site');
+  assert.match(miss.ctx.header['cache-control'], /^public/);
+
+  const hit = await request(middleware, '/api/posts/hello', body);
+  assert.ok(!hit.routed);
+  assert.strictEqual(hit.ctx.header['x-cache'], 'HIT');
+  assert.strictEqual(hit.ctx.status, 200);
+  assert.deepStrictEqual(JSON.parse(hit.ctx.body), body);
+});
+
+test('conditional requests matching the ETag get a 304', async () => {
+  const { middleware } = createCache();
+  const body = { data: [{ documentId: 'post-1' }] };
+
+  const { ctx } = await request(middleware, '/api/posts', body);
+  const etag = ctx.header.etag;
+  assert.ok(etag);
+
+  const cached = await request(middleware, '/api/posts', body, { 'if-none-match': etag });
+  assert.ok(!cached.routed);
+  assert.strictEqual(cached.ctx.status, 304);
+
+  const stale = await request(middleware, '/api/posts', body, { 'if-none-match': '"old"' });
+  assert.strictEqual(stale.ctx.status, 200);
+});
+
+test('authenticated requests always reach the router and are never cached', async () => {
+  const { middleware } = createCache();
+  const body = { data: [] };
+  const headers = { authorization: 'Bearer token' };
+
+  const first = await request(middleware, '/api/posts', body, headers);
+  const second = await request(middleware, '/api/posts', body, headers);
+  assert.ok(first.routed && second.routed);
+  assert.strictEqual(second.ctx.header['x-cache'], undefined);
+
+  // Nor does an authenticated response fill the cache for anonymous requests
+  const anonymous = await request(middleware, '/api/posts', body);
+  assert.ok(anonymous.routed);
+});
+
+test('purging an entry drops its content type, the document and the responses showing it', async () => {
+  const { middleware, service } = createCache();
+  const urls = {
+    posts: '/api/posts',
+    post: '/api/posts/hello',
+    otherPost: '/api/posts/other',
+    categories: '/api/categories',
+    authers: '/api/authers',
+  };
+  const fill = () =>
+    Promise.all([
+      request(middleware, urls.posts, { data: [] }),
+      request(middleware, urls.post, { data: { documentId: 'post-1' } }),
+      request(middleware, urls.otherPost, { data: { documentId: 'post-2' } }),
+      request(middleware, urls.categories, { data: [] }),
+      request(middleware, urls.authers, { data: [] }),
+    ]);
+  const cached = async () => {
+    const results = {};
+    for (const [name, url] of Object.entries(urls)) {
+      results[name] = !(await request(middleware, url, { data: [] })).routed;
+    }
+    return results;
+  };
+
+  await fill();
+  assert.strictEqual(await service.purgeEntry('api::post.post', 'post-1'), 2);
+  assert.deepStrictEqual(await cached(), {
+    posts: false,
+    post: false,
+    otherPost: true,
+    categories: true,
+    authers: true,
+  });
+
+  await service.clear();
+  await fill();
+  // Posts populate their category, so they go with it
+  await service.purgeEntry('api::category.category', 'category-1');
+  assert.deepStrictEqual(await cached(), {
+    posts: false,
+    post: false,
+    otherPost: false,
+    categories: false,
+    authers: true,
+  });
+});
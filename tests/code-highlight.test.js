@@ -0,0 +1,49 @@
+/**
+ * Code blocks: highlighted line ranges, line splitting and validation
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseLineRanges, highlightCode, codeBlockToHTML, normalizeCodeBlock } = require('../src/utils/code-highlight');
+
+test('line ranges stop at the last line of the code', () => {
+  assert.deepStrictEqual([...parseLineRanges('1,3-5,9-999999999', 10)], [1, 3, 4, 5, 9, 10]);
+  assert.deepStrictEqual([...parseLineRanges(null, 3)], []);
+
+  assert.strictEqual(
+    highlightCode({ code: 'a\nb\nc\n', language: 'text', highlighted_lines: '2-99' }),
+    [
+      '<span class="line" data-line="1">a</span>',
+      '<span class="line highlighted" data-line="2">b</span>',
+      '<span class="line highlighted" data-line="3">c</span>',
+    ].join('\n')
+  );
+});
+
+test('tokens spanning lines are closed and reopened on each line', () => {
+  assert.strictEqual(
+    codeBlockToHTML({ code: '/* a\nb */', language: 'js', filename: '<x>.js', show_line_numbers: true }),
+    '<figure class="code"><figcaption>&lt;x&gt;.js</figcaption>' +
+      '<pre class="language-javascript line-numbers"><code class="language-javascript">' +
+      '<span class="line" data-line="1"><span class="token comment">/* a</span></span>\n' +
+      '<span class="line" data-line="2"><span class="token comment">b */</span></span>' +
+      '</code></pre></figure>'
+  );
+});
+
+test('reversed or zero-based ranges are rejected', () => {
+  const rejects = (highlighted_lines, message) =>
+    assert.throws(
+      () => normalizeCodeBlock({ highlighted_lines }, ['content_blocks', 1]),
+      (error) =>
+        error.name === 'ValidationError' &&
+        message.test(error.message) &&
+        error.details.errors[0].path.join('.') === 'content_blocks.1.highlighted_lines'
+    );
+
+  rejects('3-1', /not end before they start/);
+  rejects('0-2', /start at line 1 or later/);
+  rejects('1,x', /line numbers or ranges/);
+
+  assert.deepStrictEqual(normalizeCodeBlock({ highlighted_lines: ' 2 - 4, 6 ' }), { highlighted_lines: '2-4,6' });
+});
@@ -0,0 +1,74 @@
+/**
+ * Content block rendering: links, headings and responsive images
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  blocksToHTML,
+  blocksToMarkdown,
+  contentBlocksToHTML,
+  contentBlocksToOutline,
+} = require('../src/utils/content-blocks');
+
+const text = (value) => ({ type: 'text', text: value });
+const heading = (level, value) => ({ type: 'heading', level, children: [text(value)] });
+
+test('links to unsafe URLs keep their text only', () => {
+  const link = (url) => ({ type: 'paragraph', children: [{ type: 'link', url, children: [text('docs')] }] });
+
+  assert.strictEqual(
+    blocksToHTML([link('https://example.com/?a=1&b="2"')]),
+    '<p><a href="https://example.com/?a=1&amp;b=&quot;2&quot;">docs</a></p>'
+  );
+  assert.strictEqual(blocksToHTML([link('/posts/intro')]), '<p><a href="/posts/intro">docs</a></p>');
+  assert.strictEqual(blocksToHTML([link('javascript:alert(1)')]), '<p>docs</p>');
+  assert.strictEqual(blocksToHTML([link(' data:text/html,x')]), '<p>docs</p>');
+});
+
+test('heading levels are clamped to h1-h6', () => {
+  assert.strictEqual(
+    blocksToHTML([heading(9, 'Deep'), heading(0, 'Top'), heading('2 onclick=alert(1)', 'Bad'), heading(3, 'Three')]),
+    [
+      '<h6 id="deep">Deep</h6>',
+      '<h1 id="top">Top</h1>',
+      '<h1 id="bad">Bad</h1>',
+      '<h3 id="three">Three</h3>',
+    ].join('\n')
+  );
+  assert.strictEqual(blocksToMarkdown([heading(9, 'Deep')]), '###### Deep');
+
+  const outline = contentBlocksToOutline([
+    { __component: 'rich-text.rich-text', richtext: [heading(7, 'Deep'), heading(-1, 'Top')] },
+  ]);
+  assert.deepStrictEqual(
+    outline.map(({ level }) => level),
+    [6, 1]
+  );
+});
+
+test('images get srcset from their formats and sizes only with a known width', () => {
+  const image = (file) =>
+    contentBlocksToHTML([{ __component: 'image.image', image: [file] }], {
+      resolveUrl: (url) => `https://cdn.example.com${url}`,
+    });
+  const formats = {
+    thumbnail: { url: '/thumb.png', width: 156 },
+    small: { url: '/small.png', width: 500 },
+  };
+
+  assert.strictEqual(
+    image({ url: '/a.png', mime: 'image/png', alternativeText: 'A', width: 1200, height: 800, formats }),
+    '<figure><img src="https://cdn.example.com/a.png" alt="A" width="1200" height="800" ' +
+      'srcset="https://cdn.example.com/small.png 500w, https://cdn.example.com/a.png 1200w" ' +
+      'sizes="(max-width: 1200px) 100vw, 1200px" loading="lazy" decoding="async"></figure>'
+  );
+
+  const withoutWidth = image({
+    url: '/b.png',
+    mime: 'image/png',
+    formats: { ...formats, medium: { url: '/medium.png', width: 750 } },
+  });
+  assert.match(withoutWidth, /srcset="https:\/\/cdn\.example\.com\/small\.png 500w, https:\/\/cdn\.example\.com\/medium\.png 750w"/);
+  assert.doesNotMatch(withoutWidth, /sizes=|undefined/);
+});
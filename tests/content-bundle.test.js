@@ -0,0 +1,173 @@
+/**
+ * Content bundle round trip: export from one instance, import into an empty
+ * one and compare the relations
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ContentBundleHelper = require('../scripts/utils/content-bundle-helper');
+
+/**
+ * In-memory stand-in for the parts of Strapi the bundle helper uses
+ * Relations are stored as document IDs and populated on read.
+ */
+function createStrapi() {
+  const store = new Map();
+  let nextId = 1;
+
+  const table = (uid) => {
+    if (!store.has(uid)) {
+      store.set(uid, []);
+    }
+    return store.get(uid);
+  };
+
+  const matches = (document, filters = {}) =>
+    Object.entries(filters).every(([name, value]) => document[name] === value);
+
+  const populate = (uid, document) => {
+    const result = { ...document };
+    Object.entries(ContentBundleHelper.getSchema(uid).attributes)
+      .filter(([, attribute]) => attribute.type === 'relation')
+      .forEach(([name, attribute]) => {
+        const find = (documentId) => table(attribute.target).find((d) => d.documentId === documentId);
+        const value = document[name];
+        result[name] = Array.isArray(value) ? value.map(find) : value ? find(value) : null;
+      });
+    return result;
+  };
+
+  const documents = (uid) => ({
+    async findMany({ filters }) {
+      return table(uid).filter((document) => matches(document, filters)).map((d) => populate(uid, d));
+    },
+    async findFirst({ filters }) {
+      const document = table(uid).find((d) => matches(d, filters));
+      return document ? populate(uid, document) : null;
+    },
+    async findOne({ documentId, status }) {
+      const document = table(uid).find((d) => d.documentId === documentId);
+      if (!document || (status === 'published' && !document.published)) {
+        return null;
+      }
+      return populate(uid, document);
+    },
+    async create({ data }) {
+      const document = { ...data, documentId: `doc-${nextId++}`, published: false };
+      table(uid).push(document);
+      return document;
+    },
+    async update({ documentId, data }) {
+      const document = table(uid).find((d) => d.documentId === documentId);
+      Object.assign(document, data);
+      return document;
+    },
+    async publish({ documentId }) {
+      table(uid).find((d) => d.documentId === documentId).published = true;
+    },
+  });
+
+  return {
+    documents,
+    db: { query: () => ({ findOne: async () => null }) },
+    // A published document, as if created in the admin
+    async seed(uid, data) {
+      const document = await documents(uid).create({ data });
+      document.published = true;
+      return document;
+    },
+    relationsOf: (uid, match) => {
+      const document = table(uid).find((d) => matches(d, match));
+      return populate(uid, document);
+    },
+  };
+}
+
+test('exported bundles import with every relation into an empty instance', async () => {
+  const source = createStrapi();
+  const news = await source.seed('api::category.category', { name: 'News', slug: 'news' });
+  const guides = await source.seed('api::category.category', { name: 'Guides', slug: 'guides' });
+  const auther = await source.seed('api::auther.auther', { name: 'Ada' });
+  // The site relates to a category the post also relates to: the case a
+  // reversed breadth-first order breaks
+  const site = await source.seed('api::site.site', {
+    site: 'blog',
+    categories: [news.documentId, guides.documentId],
+  });
+  await source.seed('api::post.post', {
+    title: 'Hello',
+    slug: 'hello',
+    description: 'First post',
+    content_blocks: [],
+    auther: auther.documentId,
+    category: news.documentId,
+    site: [site.documentId],
+  });
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-bundle-'));
+  try {
+    await ContentBundleHelper.exportBundle(source, { filters: { slug: 'hello' }, dir });
+
+    const { entries } = ContentBundleHelper.loadBundle(dir);
+    // Every entry comes after the entries it relates to
+    const positions = (uid) => entries.flatMap((entry, index) => (entry.uid === uid ? [index] : []));
+    assert.ok(Math.max(...positions('api::category.category')) < Math.min(...positions('api::site.site')));
+    assert.ok(Math.max(...positions('api::site.site')) < Math.min(...positions('api::post.post')));
+
+    const target = createStrapi();
+    const result = await ContentBundleHelper.importBundle(target, dir);
+    assert.deepStrictEqual(result.errors, []);
+
+    const post = target.relationsOf('api::post.post', { slug: 'hello' });
+    assert.strictEqual(post.auther.name, 'Ada');
+    assert.strictEqual(post.category.slug, 'news');
+    assert.deepStrictEqual(post.site.map((s) => s.site), ['blog']);
+    assert.ok(post.published);
+
+    const importedSite = target.relationsOf('api::site.site', { site: 'blog' });
+    assert.deepStrictEqual(importedSite.categories.map((c) => c.slug), ['news', 'guides']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('bundles listing entries before their relations are reordered on import', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-bundle-'));
+  try {
+    fs.writeFileSync(
+      path.join(dir, 'content.json'),
+      JSON.stringify({
+        version: 1,
+        entries: [
+          {
+            uid: 'api::site.site',
+            match: { site: 'blog' },
+            published: true,
+            data: { site: 'blog', categories: [{ slug: 'news' }] },
+          },
+          {
+            uid: 'api::category.category',
+            match: { slug: 'news' },
+            published: true,
+            data: { name: 'News', slug: 'news' },
+          },
+        ],
+        media: [],
+      })
+    );
+
+    const target = createStrapi();
+    const result = await ContentBundleHelper.importBundle(target, dir);
+
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(
+      target.relationsOf('api::site.site', { site: 'blog' }).categories.map((c) => c.slug),
+      ['news']
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
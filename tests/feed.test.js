@@ -0,0 +1,104 @@
+/**
+ * Feeds: published category lookup and RSS / Atom / JSON Feed output
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { default: feedService } = require('../src/api/feed/services/feed');
+
+const CONFIG = { title: 'Blog', description: 'All posts', limit: 20 };
+
+const POST = {
+  documentId: 'p1',
+  slug: 'k8s-tips',
+  title: 'Tips & tricks',
+  description: 'Running <b>k8s</b>',
+  content_blocks: [],
+  publishedAt: '2025-03-10T03:00:00.000Z',
+  updatedAt: '2025-03-11T03:00:00.000Z',
+  auther: { name: 'Ana' },
+  category: { name: 'DevOps' },
+  featured_image: { url: '/uploads/cover.png', mime: 'image/png', size: 12.35 },
+};
+
+/**
+ * Feed service over stubbed documents: one published `devops` category
+ */
+function createFeed() {
+  const queries = [];
+  const documents = (uid) => ({
+    findFirst: async (params) => {
+      queries.push({ uid, ...params });
+      return params.status === 'published' && params.filters.slug === 'devops'
+        ? { documentId: 'c1', name: 'DevOps' }
+        : null;
+    },
+    findMany: async (params) => {
+      queries.push({ uid, ...params });
+      return [POST];
+    },
+  });
+  const services = {
+    'api::post.post': { resolveMediaUrl: (url) => `https://cms.example.com${url}` },
+    'api::site.site': {
+      getFrontendUrl: () => 'https://blog.example.com',
+      getEntryUrl: (site, type, slug) => `https://blog.example.com/posts/${slug}`,
+    },
+  };
+  const strapi = { config: { get: () => CONFIG }, documents, service: (uid) => services[uid] };
+
+  return { service: feedService({ strapi }), queries };
+}
+
+test('categories resolve from their published version only', async () => {
+  const { service, queries } = createFeed();
+
+  const feed = await service.build({ category: 'devops' });
+
+  assert.strictEqual(feed.title, 'Blog - DevOps');
+  assert.deepStrictEqual(queries[0], {
+    uid: 'api::category.category',
+    status: 'published',
+    filters: { slug: 'devops' },
+  });
+  assert.deepStrictEqual(queries[1].filters, { category: { documentId: 'c1' } });
+  assert.strictEqual(queries[1].status, 'published');
+
+  assert.strictEqual(await service.build({ category: 'drafts-only' }), null);
+});
+
+test('RSS items escape text and give the enclosure length in bytes', async () => {
+  const { service } = createFeed();
+  const feed = await service.build({});
+
+  const rss = service.toRSS(feed, 'https://cms.example.com/api/feed/rss');
+
+  assert.match(rss, /<title>Tips &amp; tricks<\/title>/);
+  assert.match(rss, /<description>Running &lt;b&gt;k8s&lt;\/b&gt;<\/description>/);
+  assert.match(rss, /<pubDate>Mon, 10 Mar 2025 03:00:00 GMT<\/pubDate>/);
+  assert.match(
+    rss,
+    /<enclosure url="https:\/\/cms\.example\.com\/uploads\/cover\.png" length="12350" type="image\/png"\/>/
+  );
+  assert.match(rss, /<atom:link href="https:\/\/cms\.example\.com\/api\/feed\/rss" rel="self"/);
+});
+
+test('Atom and JSON Feed carry the same items', async () => {
+  const { service } = createFeed();
+  const feed = await service.build({ site: { documentId: 's1', site: 'blog', language: 'en' } });
+
+  const atom = service.toAtom(feed, 'https://cms.example.com/api/feed/atom');
+  assert.match(atom, /<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom" xml:lang="en">/);
+  assert.match(atom, /<updated>2025-03-11T03:00:00\.000Z<\/updated>/);
+  assert.match(atom, /<author><name>Ana<\/name><\/author>/);
+  assert.match(atom, /<link rel="enclosure" href="[^"]+" length="12350" type="image\/png"\/>/);
+
+  const json = service.toJSONFeed(feed, 'https://cms.example.com/api/feed/json');
+  assert.strictEqual(json.title, 'blog');
+  assert.strictEqual(json.language, 'en');
+  assert.deepStrictEqual(json.items[0].attachments, [
+    { url: 'https://cms.example.com/uploads/cover.png', mime_type: 'image/png', size_in_bytes: 12350 },
+  ]);
+  assert.deepStrictEqual(json.items[0].authors, [{ name: 'Ana' }]);
+  assert.deepStrictEqual(json.items[0].tags, ['DevOps']);
+});
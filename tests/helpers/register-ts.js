@@ -0,0 +1,15 @@
+/**
+ * Lets tests require the TypeScript sources in src/ directly, compiled on
+ * the fly with the project's TypeScript (no type checking)
+ */
+
+const fs = require('fs');
+const ts = require('typescript');
+
+require.extensions['.ts'] = (module, filename) => {
+  const { outputText } = ts.transpileModule(fs.readFileSync(filename, 'utf8'), {
+    compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2019, esModuleInterop: true },
+    fileName: filename,
+  });
+  module._compile(outputText, filename);
+};
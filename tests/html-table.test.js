@@ -0,0 +1,46 @@
+/**
+ * Table HTML: allowlist sanitizing, parsing and validation
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { sanitizeTableHTML, parseTable, normalizeTableHTML } = require('../src/utils/html-table');
+
+test('only allowed elements and attributes are kept, unsafe ones are reported', () => {
+  const { html, removed, unsafe } = sanitizeTableHTML(
+    '<table class="x"><tr><td onclick="a()" colspan="2"><a href="javascript:x">y</a><b>b</b><script>bad()</script></td></tr>'
+  );
+
+  assert.strictEqual(html, '<table><tr><td colspan="2"><a>y</a><b>b</b></td></tr></table>');
+  assert.deepStrictEqual(removed, [
+    'class attribute on <table>',
+    'onclick attribute on <td>',
+    'href attribute on <a>',
+    '<script>',
+  ]);
+  assert.deepStrictEqual(unsafe, ['onclick attribute on <td>', 'href attribute on <a>', '<script>']);
+});
+
+test('tables parse into caption, headers and rows of text', () => {
+  assert.deepStrictEqual(
+    parseTable(
+      '<table><caption>Cap</caption><thead><tr><th>A</th><th>B &amp; C</th></tr></thead><tbody><tr><td>1</td><td>2</td></tr></tbody></table>'
+    ),
+    { caption: 'Cap', headers: ['A', 'B & C'], rows: [['1', '2']] }
+  );
+});
+
+test('presentational markup is stripped and unsafe markup rejected', () => {
+  assert.deepStrictEqual(normalizeTableHTML('<div style="x"><table><tr><td>x</td></tr></table></div>'), {
+    html: '<table><tr><td>x</td></tr></table>',
+    data: { caption: null, headers: [], rows: [['x']] },
+  });
+
+  assert.throws(
+    () => normalizeTableHTML('<table><tr><td><script>x()</script></td></tr></table>', ['content_blocks', 0, 'htmltable']),
+    (error) =>
+      error.name === 'ValidationError' &&
+      /unsafe markup: <script>/.test(error.message) &&
+      error.details.errors[0].path.join('.') === 'content_blocks.0.htmltable'
+  );
+});
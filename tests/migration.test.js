@@ -0,0 +1,56 @@
+/**
+ * Migration helpers: PostgreSQL placeholders, source lookups and backup paths
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const axios = require('axios');
+const DBHelper = require('../src/utils/db-helper');
+const BackupHelper = require('../src/utils/backup-helper');
+const CloudinaryProvider = require('../scripts/providers/cloudinary-provider');
+
+test('placeholders become positional parameters outside quoted strings only', () => {
+  const db = new DBHelper('postgres', null);
+
+  assert.strictEqual(
+    db.toPostgresSQL(`SELECT id FROM files WHERE url LIKE '%?v=%' AND "a?b" = ? AND name = 'it''s ?' AND id = ?`),
+    `SELECT id FROM files WHERE url LIKE '%?v=%' AND "a?b" = $1 AND name = 'it''s ?' AND id = $2`
+  );
+});
+
+test('only a 404 counts as missing on the source', async (t) => {
+  const provider = new CloudinaryProvider({});
+  const entry = { hash: 'abc', mime: 'image/png', url: 'https://res.cloudinary.com/x/abc.png' };
+  const fail = (status) => {
+    const error = new Error(status ? `Request failed with status code ${status}` : 'socket hang up');
+    error.response = status ? { status } : undefined;
+    return Promise.reject(error);
+  };
+
+  t.mock.method(axios, 'head', () => fail(404));
+  assert.strictEqual(await provider.exists(entry), false);
+
+  axios.head.mock.mockImplementation(() => fail(503));
+  await assert.rejects(provider.exists(entry), /HEAD request failed/);
+
+  axios.head.mock.mockImplementation(() => fail(null));
+  await assert.rejects(provider.exists(entry), /socket hang up/);
+
+  axios.head.mock.mockImplementation(() => Promise.resolve({ status: 200 }));
+  assert.strictEqual(await provider.exists(entry), true);
+});
+
+test('--backup= paths resolve against the backup directory, defaulting to the latest export', () => {
+  const backupDir = path.resolve(__dirname, '../backups');
+
+  assert.strictEqual(
+    BackupHelper.resolveJSONExport('cloudinary-backup-x.json', backupDir),
+    path.join(backupDir, 'cloudinary-backup-x.json')
+  );
+  assert.strictEqual(BackupHelper.resolveJSONExport('/tmp/export.json', backupDir), '/tmp/export.json');
+  assert.strictEqual(
+    BackupHelper.resolveJSONExport(null, backupDir),
+    BackupHelper.findLatestJSONExport(backupDir)
+  );
+});
@@ -0,0 +1,81 @@
+/**
+ * Preview middleware: draft access with preview tokens and API tokens
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { default: previewMiddleware } = require('../src/middlewares/preview');
+
+const PREVIEW = { uid: 'api::post.post', documentId: 'p1' };
+
+/**
+ * Minimal Koa context for a GET request
+ */
+function createContext(path, query = {}, headers = {}) {
+  const response = {};
+  return {
+    method: 'GET',
+    path,
+    query,
+    state: {},
+    response,
+    get: (name) => headers[name.toLowerCase()] ?? '',
+    set: (name, value) => {
+      response[name] = value;
+    },
+    vary: () => {},
+    unauthorized: (message) => {
+      response.status = 401;
+      response.message = message;
+    },
+    forbidden: (message) => {
+      response.status = 403;
+      response.message = message;
+    },
+  };
+}
+
+async function run(ctx) {
+  const strapi = {
+    service: () => ({ verifyToken: (token) => (token === 'valid' ? PREVIEW : null) }),
+  };
+  let called = false;
+  await previewMiddleware({}, { strapi })(ctx, async () => {
+    called = true;
+  });
+  return called;
+}
+
+test('anonymous requests only read published versions', async () => {
+  const ctx = createContext('/api/posts', { status: 'draft', sort: 'title' });
+
+  assert.strictEqual(await run(ctx), true);
+  assert.deepStrictEqual(ctx.query, { sort: 'title' });
+});
+
+test('API token requests keep their status', async () => {
+  const ctx = createContext('/api/posts', { status: 'draft' }, { authorization: 'Bearer api-token' });
+
+  assert.strictEqual(await run(ctx), true);
+  assert.deepStrictEqual(ctx.query, { status: 'draft' });
+});
+
+test('preview tokens read the draft of their own document only', async () => {
+  const ctx = createContext('/api/posts', { preview: 'valid', filters: { slug: 'a' } });
+
+  assert.strictEqual(await run(ctx), true);
+  assert.deepStrictEqual(ctx.query, {
+    status: 'draft',
+    filters: { $and: [{ slug: 'a' }, { documentId: 'p1' }] },
+  });
+  assert.strictEqual(ctx.state.preview, PREVIEW);
+  assert.strictEqual(ctx.response['Cache-Control'], 'private, no-store');
+
+  const invalid = createContext('/api/posts', {}, { 'x-preview-token': 'expired' });
+  assert.strictEqual(await run(invalid), false);
+  assert.strictEqual(invalid.response.status, 401);
+
+  const otherType = createContext('/api/categories', { preview: 'valid' });
+  assert.strictEqual(await run(otherType), false);
+  assert.strictEqual(otherType.response.status, 403);
+});
@@ -0,0 +1,124 @@
+/**
+ * Scheduled publishing: due actions, failed publishes and failed runs
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { default: scheduleService } = require('../src/api/schedule/services/schedule');
+
+const NOW = new Date('2025-03-10T03:00:00.000Z');
+const DUE = '2025-03-10T02:59:00.000Z';
+
+/**
+ * Schedule service over stubbed drafts of posts
+ * @param drafts - documentId -> { publish_at, unpublish_at, published }
+ */
+function createSchedule(drafts, { publish } = {}) {
+  const calls = [];
+  const logs = { info: [], warn: [], error: [] };
+
+  const db = {
+    query: (uid) => ({
+      findMany: async ({ where }) => {
+        if (uid !== 'api::post.post') {
+          return [];
+        }
+        const field = 'publish_at' in where ? 'publish_at' : 'unpublish_at';
+        return Object.entries(drafts)
+          .filter(([, draft]) => draft[field] && new Date(draft[field]) <= (where[field].$lte ?? Infinity))
+          .map(([documentId, draft]) => ({ documentId, title: documentId, [field]: draft[field] }));
+      },
+      count: async ({ where }) => (drafts[where.documentId].published ? 1 : 0),
+    }),
+  };
+  const documents = () => ({
+    update: async ({ documentId, data }) => {
+      calls.push(['update', documentId, data]);
+      Object.assign(drafts[documentId], data);
+    },
+    publish: async ({ documentId }) => {
+      calls.push(['publish', documentId]);
+      if (publish) {
+        await publish(documentId);
+      }
+      drafts[documentId].published = true;
+    },
+    unpublish: async ({ documentId }) => {
+      calls.push(['unpublish', documentId]);
+      drafts[documentId].published = false;
+    },
+  });
+  const log = Object.fromEntries(
+    Object.keys(logs).map((level) => [level, (message) => logs[level].push(message)])
+  );
+
+  return { service: scheduleService({ strapi: { db, documents, log } }), calls, logs };
+}
+
+test('due entries are published and unpublished, the rest wait', async () => {
+  const drafts = {
+    due: { publish_at: DUE },
+    later: { publish_at: '2025-03-10T04:00:00.000Z' },
+    expiring: { unpublish_at: DUE, published: true },
+  };
+  const { service, calls } = createSchedule(drafts);
+
+  const result = await service.run(NOW);
+
+  assert.deepStrictEqual(result.published, ['api::post.post:due']);
+  assert.deepStrictEqual(result.unpublished, ['api::post.post:expiring']);
+  assert.deepStrictEqual(calls, [
+    ['update', 'due', { publish_at: null }],
+    ['publish', 'due'],
+    ['unpublish', 'expiring'],
+    ['update', 'expiring', { unpublish_at: null }],
+  ]);
+  assert.strictEqual(drafts.later.publish_at, '2025-03-10T04:00:00.000Z');
+});
+
+test('a failed publish keeps the schedule so the entry is retried', async () => {
+  const drafts = { invalid: { publish_at: DUE } };
+  const { service, logs } = createSchedule(drafts, {
+    publish: async () => {
+      throw new Error('category must be defined');
+    },
+  });
+
+  const result = await service.run(NOW);
+
+  assert.deepStrictEqual(result.errors, [
+    { uid: 'api::post.post', documentId: 'invalid', action: 'publish', error: 'category must be defined' },
+  ]);
+  assert.strictEqual(drafts.invalid.publish_at, DUE);
+  assert.strictEqual(drafts.invalid.published, undefined);
+  assert.match(logs.error[0], /Could not publish api::post\.post invalid: category must be defined/);
+
+  assert.deepStrictEqual(
+    (await service.upcoming()).map(({ documentId, action }) => [documentId, action]),
+    [['invalid', 'publish']]
+  );
+});
+
+test('database errors are logged instead of failing the run', async () => {
+  const errors = [];
+  const strapi = {
+    db: {
+      query: () => ({
+        findMany: async () => {
+          throw new Error('SQLITE_BUSY: database is locked');
+        },
+      }),
+    },
+    documents: () => ({}),
+    log: { info() {}, warn() {}, error: (message) => errors.push(message) },
+  };
+  const service = scheduleService({ strapi });
+
+  const result = await service.run(NOW);
+
+  assert.deepStrictEqual(result.published, []);
+  assert.deepStrictEqual(errors, ['[schedule] Run failed: SQLITE_BUSY: database is locked']);
+
+  // The run is not left marked as in progress
+  assert.notStrictEqual(await service.run(NOW), null);
+});
@@ -0,0 +1,145 @@
+/**
+ * Full-text search: site scoping, pagination and sanitized results
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { default: searchService } = require('../src/api/search/services/search');
+const { default: searchController } = require('../src/api/search/controllers/search');
+
+// knex is not a direct dependency: use the one Strapi's database layer runs on
+const knexPath = ['@strapi/strapi', '@strapi/core', '@strapi/database'].reduce(
+  (dir, name) => path.dirname(require.resolve(`${name}/package.json`, { paths: [dir] })),
+  __dirname
+);
+const Knex = require(require.resolve('knex', { paths: [knexPath] }));
+
+const METADATA = {
+  'api::post.post': {
+    tableName: 'posts',
+    attributes: {
+      site: {
+        joinTable: {
+          name: 'posts_site_lnk',
+          joinColumn: { name: 'post_id' },
+          inverseJoinColumn: { name: 'site_id' },
+        },
+      },
+    },
+  },
+  'api::site.site': { tableName: 'sites', attributes: {} },
+};
+
+/**
+ * Search service on an in-memory SQLite index: `count` posts about
+ * kubernetes, the first `count - otherSite` on site A, the rest on site B
+ */
+async function createSearch(t, { count, otherSite }) {
+  const knex = Knex({ client: 'better-sqlite3', connection: { filename: ':memory:' }, useNullAsDefault: true });
+  t.after(() => knex.destroy());
+
+  await knex.schema.createTable('posts', (table) => {
+    table.increments('id');
+    table.string('document_id');
+    table.datetime('published_at');
+  });
+  await knex.schema.createTable('sites', (table) => {
+    table.increments('id');
+    table.string('document_id');
+  });
+  await knex.schema.createTable('posts_site_lnk', (table) => {
+    table.integer('post_id');
+    table.integer('site_id');
+  });
+  await knex('sites').insert([{ document_id: 'A' }, { document_id: 'B' }]);
+
+  const strapi = {
+    db: {
+      connection: knex,
+      dialect: { client: 'sqlite' },
+      getSchemaName: () => undefined,
+      metadata: { get: (uid) => METADATA[uid] },
+    },
+    config: { get: (key, defaultValue) => defaultValue },
+    log: { info() {}, warn() {} },
+    documents: () => ({
+      findMany: async ({ filters }) =>
+        filters.documentId.$in.map((documentId) => ({ documentId, title: `Post ${documentId}` })),
+    }),
+  };
+  const service = searchService({ strapi });
+  await service.ensureIndex.call({ ...service, rebuild: async () => 0 });
+
+  for (let i = 1; i <= count; i += 1) {
+    const [id] = await knex('posts').insert({ document_id: `post-${i}`, published_at: new Date() });
+    await knex('posts_site_lnk').insert({ post_id: id, site_id: i > count - otherSite ? 2 : 1 });
+    await knex('posts_search').insert({
+      document_id: `post-${i}`,
+      title: `Kubernetes guide ${i}`,
+      description: '',
+      body: 'cluster '.repeat(i),
+    });
+  }
+
+  return service;
+}
+
+test('matches are scoped to the site before pagination', async (t) => {
+  const service = await createSearch(t, { count: 260, otherSite: 5 });
+
+  const { results, pagination } = await service.search('kubernetes', { pageSize: 10, siteId: 'B' });
+
+  assert.deepStrictEqual(pagination, { page: 1, pageSize: 10, pageCount: 1, total: 5 });
+  assert.deepStrictEqual(
+    results.map((post) => post.documentId).sort(),
+    ['post-256', 'post-257', 'post-258', 'post-259', 'post-260']
+  );
+  assert.match(results[0].search.title, /^<mark>Kubernetes<\/mark> guide/);
+});
+
+test('pagination covers every match', async (t) => {
+  const service = await createSearch(t, { count: 260, otherSite: 5 });
+
+  const { results, pagination } = await service.search('kubernetes', { page: 26, pageSize: 10 });
+
+  assert.deepStrictEqual(pagination, { page: 26, pageSize: 10, pageCount: 26, total: 260 });
+  assert.strictEqual(results.length, 10);
+
+  const siteA = await service.search('kubernetes', { page: 26, pageSize: 10, siteId: 'A' });
+  assert.strictEqual(siteA.pagination.total, 255);
+  assert.strictEqual(siteA.results.length, 5);
+});
+
+test('results are sanitized with the requester permissions', async () => {
+  const auth = { strategy: { name: 'users-permissions' }, credentials: null };
+  const sanitized = [];
+  const strapi = {
+    service: () => ({
+      isSupported: () => true,
+      search: async () => ({
+        results: [{ documentId: 'a', title: 'A', featured_image: { url: '/a.png', provider: 'local' }, search: { rank: 1 } }],
+        pagination: { page: 1, pageSize: 10, pageCount: 1, total: 1 },
+      }),
+    }),
+    getModel: (uid) => ({ uid }),
+    contentAPI: {
+      sanitize: {
+        output: async (post, model, options) => {
+          sanitized.push({ post, model, options });
+          return { documentId: post.documentId, title: post.title, featured_image: { url: post.featured_image.url } };
+        },
+      },
+    },
+  };
+  const ctx = { query: { q: 'kubernetes' }, state: { auth, site: { documentId: 'A' } } };
+
+  await searchController({ strapi }).search(ctx);
+
+  assert.deepStrictEqual(ctx.body.data, [
+    { documentId: 'a', title: 'A', featured_image: { url: '/a.png' }, search: { rank: 1 } },
+  ]);
+  assert.strictEqual(sanitized[0].model.uid, 'api::post.post');
+  assert.strictEqual(sanitized[0].options.auth, auth);
+  assert.strictEqual('search' in sanitized[0].post, false);
+});
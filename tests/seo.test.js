@@ -0,0 +1,151 @@
+/**
+ * SEO metadata: fallbacks, validation and what the requesting role may read
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { truncate, postSeoMeta, categorySeoMeta, normalizeSeo } = require('../src/utils/seo');
+const { default: seoService } = require('../src/api/seo/services/seo');
+
+const SITE = {
+  documentId: 's1',
+  site: 'Blog',
+  language: 'en-GB',
+  default_seo_title: 'Default title',
+  default_seo_description: 'Default description',
+  default_og_image: { url: '/uploads/default.png', mime: 'image/png', width: 1200, height: 630 },
+  seo: null,
+};
+
+const POST = {
+  documentId: 'p1',
+  slug: 'k8s-tips',
+  title: 'Kubernetes tips',
+  description: 'Running clusters',
+  publishedAt: '2025-03-10T03:00:00.000Z',
+  updatedAt: '2025-03-11T03:00:00.000Z',
+  seo: null,
+  featured_image: null,
+  auther: { name: 'Ana', avatar: { url: '/uploads/ana.png', mime: 'image/png' } },
+  category: { name: 'DevOps' },
+  site: [SITE],
+};
+
+const context = (site = SITE) => ({
+  url: 'https://blog.example.com/posts/k8s-tips',
+  siteUrl: 'https://blog.example.com',
+  site,
+  resolveUrl: (url) => `https://cms.example.com${url}`,
+});
+
+const tag = (meta, key) => meta.tags.find(({ name, property }) => (name ?? property) === key)?.content;
+
+test('text is truncated at a word boundary', () => {
+  assert.strictEqual(truncate('  Short   text ', 20), 'Short text');
+  assert.strictEqual(truncate('Kubernetes tips and tricks', 18), 'Kubernetes tips…');
+  assert.strictEqual(truncate('', 10), null);
+  assert.strictEqual(truncate(null, 10), null);
+});
+
+test('empty post fields fall back to the entry, then to its site', () => {
+  const fromEntry = postSeoMeta(POST, context());
+
+  assert.strictEqual(fromEntry.title, 'Kubernetes tips');
+  assert.strictEqual(fromEntry.description, 'Running clusters');
+  assert.strictEqual(fromEntry.canonical_url, 'https://blog.example.com/posts/k8s-tips');
+  assert.strictEqual(fromEntry.image.url, 'https://cms.example.com/uploads/default.png');
+  assert.strictEqual(tag(fromEntry, 'og:locale'), 'en_GB');
+  assert.strictEqual(tag(fromEntry, 'article:author'), 'Ana');
+
+  const fromSite = postSeoMeta({ ...POST, title: null, description: null }, context());
+  assert.strictEqual(fromSite.title, 'Default title');
+  assert.strictEqual(fromSite.description, 'Default description');
+
+  const fromComponent = postSeoMeta(
+    {
+      ...POST,
+      seo: { meta_title: 'Custom', canonical_url: 'https://example.com/k8s', structured_data: { '@type': 'FAQPage' } },
+    },
+    context({ ...SITE, seo: { no_index: true } })
+  );
+  assert.strictEqual(fromComponent.title, 'Custom');
+  assert.strictEqual(fromComponent.canonical_url, 'https://example.com/k8s');
+  assert.strictEqual(fromComponent.robots, 'noindex, follow');
+  assert.deepStrictEqual(fromComponent.json_ld[1], { '@context': 'https://schema.org', '@type': 'FAQPage' });
+});
+
+test('categories describe their description text as a collection page', () => {
+  const description = [{ type: 'paragraph', children: [{ type: 'text', text: 'All about DevOps' }] }];
+
+  const meta = categorySeoMeta({ name: 'DevOps', description, seo: null }, context());
+
+  assert.strictEqual(meta.description, 'All about DevOps');
+  assert.deepStrictEqual(meta.json_ld[0], {
+    '@context': 'https://schema.org',
+    '@type': 'CollectionPage',
+    name: 'DevOps',
+    description: 'All about DevOps',
+    url: 'https://blog.example.com/posts/k8s-tips',
+    inLanguage: 'en-GB',
+    isPartOf: { '@type': 'WebSite', name: 'Blog', url: 'https://blog.example.com' },
+  });
+});
+
+test('seo components need an absolute canonical URL and JSON-LD objects', () => {
+  assert.deepStrictEqual(normalizeSeo({ canonical_url: '  ' }), { canonical_url: null });
+
+  assert.throws(
+    () => normalizeSeo({ canonical_url: '/posts/a', structured_data: ['text'] }, ['seo']),
+    (error) => {
+      assert.deepStrictEqual(
+        error.details.errors.map(({ path }) => path),
+        [
+          ['seo', 'canonical_url'],
+          ['seo', 'structured_data'],
+        ]
+      );
+      return error.name === 'ValidationError';
+    }
+  );
+});
+
+test('relations the requesting role cannot read are left out', async () => {
+  // Public role that may read posts and categories but not authors or sites
+  const readable = ['api::post.post', 'api::category.category'];
+  const relations = { auther: 'api::auther.auther', category: 'api::category.category', site: 'api::site.site' };
+  const sanitized = [];
+
+  const strapi = {
+    documents: () => ({ findMany: async () => [structuredClone(POST)] }),
+    getModel: (uid) => uid,
+    contentAPI: {
+      sanitize: {
+        output: async (entry, uid, { auth }) => {
+          sanitized.push([uid, auth]);
+          return Object.fromEntries(
+            Object.entries(entry).filter(([key]) => !relations[key] || auth.readable.includes(relations[key]))
+          );
+        },
+      },
+    },
+    service: (uid) =>
+      ({
+        'api::post.post': { resolveMediaUrl: (url) => `https://cms.example.com${url}` },
+        'api::site.site': {
+          getFrontendUrl: (site) => (site ? 'https://blog.example.com' : 'https://www.example.com'),
+          getEntryUrl: (site, type, slug) => `https://${site ? 'blog' : 'www'}.example.com/posts/${slug}`,
+        },
+      })[uid],
+  };
+  const auth = { strategy: 'users-permissions', readable };
+
+  const meta = (await seoService({ strapi }).postMeta(['p1'], { auth })).get('p1');
+
+  assert.deepStrictEqual(sanitized, [['api::post.post', auth]]);
+  const [blogPosting] = meta.json_ld;
+  assert.strictEqual(blogPosting.author, undefined);
+  assert.strictEqual(blogPosting.publisher, undefined);
+  assert.strictEqual(blogPosting.articleSection, 'DevOps');
+  assert.strictEqual(tag(meta, 'article:author'), undefined);
+  assert.doesNotMatch(JSON.stringify(meta), /Ana|ana\.png|blog\.example\.com|Default/);
+});
@@ -0,0 +1,66 @@
+/**
+ * Site resolution: cached lookups by key and hostname
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { default: siteService } = require('../src/api/site/services/site');
+
+const BLOG = { documentId: 'blog', site: 'blog', domain: 'blog.example.com', categories: [] };
+
+/**
+ * Site service over a document service counting its lookups
+ */
+function createService(
+  findFirst = async ({ filters }) => {
+    const [filter] = filters.$or ?? [filters];
+    return filter.site === BLOG.site || filter.domain === BLOG.domain ? BLOG : null;
+  }
+) {
+  const queries = [];
+  const strapi = {
+    contentType: () => ({ kind: 'collectionType' }),
+    documents: () => ({
+      findFirst: (params) => {
+        queries.push(params);
+        return findFirst(params);
+      },
+    }),
+  };
+
+  return { service: siteService({ strapi }), queries };
+}
+
+test('site lookups hit the database once per key or hostname', async () => {
+  const { service, queries } = createService();
+
+  assert.strictEqual(await service.resolve({ key: 'blog' }), BLOG);
+  assert.strictEqual(await service.resolve({ key: 'blog' }), BLOG);
+  assert.strictEqual(await service.resolve({ hostname: 'Blog.Example.com' }), BLOG);
+  assert.strictEqual(await service.resolve({ hostname: 'blog.example.com' }), BLOG);
+  assert.strictEqual(await service.resolve({ hostname: 'unknown.example.com' }), null);
+  assert.strictEqual(await service.resolve({ hostname: 'unknown.example.com' }), null);
+
+  assert.strictEqual(queries.length, 3);
+  assert.ok(queries.every((query) => query.status === 'published'));
+});
+
+test('clearing the cache looks sites up again', async () => {
+  const { service, queries } = createService();
+
+  await service.resolve({ key: 'blog' });
+  service.clearCache();
+  await service.resolve({ key: 'blog' });
+
+  assert.strictEqual(queries.length, 2);
+});
+
+test('failed lookups are not cached', async () => {
+  const { service, queries } = createService(async () => {
+    throw new Error('connection lost');
+  });
+
+  await assert.rejects(service.resolve({ key: 'blog' }), /connection lost/);
+  await assert.rejects(service.resolve({ key: 'blog' }), /connection lost/);
+  assert.strictEqual(queries.length, 2);
+});
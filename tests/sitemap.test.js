@@ -0,0 +1,95 @@
+/**
+ * Sitemaps: index pages, site scoping, URL pages and robots.txt
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { default: sitemapService } = require('../src/api/sitemap/services/sitemap');
+
+const UPDATED = { 'api::post.post': '2025-03-11T03:00:00.000Z', 'api::category.category': '2025-01-02T00:00:00.000Z' };
+
+/**
+ * Sitemap service over stubbed documents: `posts` published posts and
+ * two categories, one without a slug
+ */
+function createSitemap({ posts = 3, publicDir = os.tmpdir() } = {}) {
+  const queries = [];
+  const entries = {
+    'api::post.post': Array.from({ length: posts }, (_, i) => ({ slug: `post-${i + 1}`, updatedAt: UPDATED['api::post.post'] })),
+    'api::category.category': [
+      { slug: 'devops', updatedAt: UPDATED['api::category.category'] },
+      { slug: null, updatedAt: UPDATED['api::category.category'] },
+    ],
+  };
+  const documents = (uid) => ({
+    count: async (params) => {
+      queries.push({ uid, action: 'count', ...params });
+      return entries[uid].length;
+    },
+    findMany: async (params) => {
+      queries.push({ uid, action: 'findMany', ...params });
+      return entries[uid].slice(params.start ?? 0, (params.start ?? 0) + params.limit);
+    },
+  });
+  const siteService = {
+    scopeFilters: (uid, site) => (uid === 'api::post.post' ? { site: { documentId: site.documentId } } : null),
+    getEntryUrl: (site, type, slug) =>
+      `https://${site?.domain ?? 'www.example.com'}/${type === 'post' ? 'posts' : 'categories'}/${slug}`,
+  };
+  const strapi = { documents, service: () => siteService, dirs: { static: { public: publicDir } } };
+
+  return { service: sitemapService({ strapi }), queries };
+}
+
+test('the index lists one page per 5000 entries of each type', async () => {
+  const { service, queries } = createSitemap({ posts: 5001 });
+
+  const xml = await service.index('https://cms.example.com/api/sitemap', '?site=blog&x=1', {
+    documentId: 's1',
+  });
+
+  const locs = [...xml.matchAll(/<loc>(.*)<\/loc>/g)].map(([, loc]) => loc);
+  assert.deepStrictEqual(locs, [
+    'https://cms.example.com/api/sitemap/posts/1.xml?site=blog&amp;x=1',
+    'https://cms.example.com/api/sitemap/posts/2.xml?site=blog&amp;x=1',
+    'https://cms.example.com/api/sitemap/categories/1.xml?site=blog&amp;x=1',
+  ]);
+  assert.match(xml, /<lastmod>2025-03-11T03:00:00\.000Z<\/lastmod>/);
+  assert.ok(queries.every((query) => query.status === 'published'));
+  assert.deepStrictEqual(queries[0].filters, { site: { documentId: 's1' } });
+});
+
+test('pages list the entries with a slug and end after the last one', async () => {
+  const { service, queries } = createSitemap();
+  const site = { documentId: 's1', domain: 'blog.example.com' };
+
+  const posts = await service.page('posts', 1, site);
+  assert.deepStrictEqual(
+    [...posts.matchAll(/<loc>(.*)<\/loc>/g)].map(([, loc]) => loc),
+    ['https://blog.example.com/posts/post-1', 'https://blog.example.com/posts/post-2', 'https://blog.example.com/posts/post-3']
+  );
+  assert.deepStrictEqual(queries[0].filters, { site: { documentId: 's1' } });
+
+  const categories = await service.page('categories', 1, site);
+  assert.strictEqual([...categories.matchAll(/<url>/g)].length, 1);
+
+  assert.strictEqual(await service.page('posts', 2, site), null);
+});
+
+test('robots.txt points at the sitemap index only once', async (t) => {
+  const publicDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-test-'));
+  t.after(() => fs.rmSync(publicDir, { recursive: true, force: true }));
+  fs.writeFileSync(
+    path.join(publicDir, 'robots.txt'),
+    'User-Agent: *\nDisallow: /admin\nsitemap: https://old.example.com/sitemap.xml\n\n'
+  );
+  const { service } = createSitemap({ publicDir });
+
+  assert.strictEqual(
+    await service.robots('https://cms.example.com/api/sitemap/index.xml'),
+    'User-Agent: *\nDisallow: /admin\n\nSitemap: https://cms.example.com/api/sitemap/index.xml\n'
+  );
+});
@@ -0,0 +1,62 @@
+/**
+ * YouTube videos: URL and ID parsing, embed URLs and validation
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseYouTube, toEmbedUrl, toWatchUrl, normalizeYouTube } = require('../src/utils/youtube');
+
+const ID = 'dQw4w9WgXcQ';
+
+test('bare IDs keep their start time', () => {
+  assert.deepStrictEqual(parseYouTube(ID), { id: ID, start: null, playlist: null });
+  assert.deepStrictEqual(parseYouTube(`${ID}?t=30`), { id: ID, start: 30, playlist: null });
+  assert.deepStrictEqual(parseYouTube(`${ID}&t=1m30s`), { id: ID, start: 90, playlist: null });
+  assert.deepStrictEqual(parseYouTube(` ${ID}#t=1h2m3s `), { id: ID, start: 3723, playlist: null });
+});
+
+test('YouTube URLs give the video, start time and playlist', () => {
+  assert.deepStrictEqual(parseYouTube(`https://youtu.be/${ID}?t=90s&list=PL123`), {
+    id: ID,
+    start: 90,
+    playlist: 'PL123',
+  });
+  assert.deepStrictEqual(parseYouTube(`youtube.com/shorts/${ID}`), { id: ID, start: null, playlist: null });
+  assert.deepStrictEqual(parseYouTube(`https://m.youtube.com/watch?v=${ID}&start=5`), {
+    id: ID,
+    start: 5,
+    playlist: null,
+  });
+
+  assert.strictEqual(parseYouTube(`https://evil.com/watch?v=${ID}`), null);
+  assert.strictEqual(parseYouTube('https://www.youtube.com/watch?v=short'), null);
+});
+
+test('embeds use the privacy-enhanced domain', () => {
+  assert.strictEqual(
+    toEmbedUrl(parseYouTube(`${ID}?t=30`)),
+    `https://www.youtube-nocookie.com/embed/${ID}?start=30`
+  );
+  assert.strictEqual(
+    toWatchUrl(parseYouTube(`https://youtu.be/${ID}?t=90s&list=PL123`)),
+    `https://www.youtube.com/watch?v=${ID}&t=90s&list=PL123`
+  );
+});
+
+test('stored values are normalized, other URLs rejected', () => {
+  assert.deepStrictEqual(normalizeYouTube(`${ID}?t=30`), {
+    youtube_video: `https://www.youtube.com/watch?v=${ID}&t=30s`,
+    video_id: ID,
+    start_time: 30,
+    playlist_id: null,
+    thumbnail_url: `https://i.ytimg.com/vi/${ID}/hqdefault.jpg`,
+    embed_url: `https://www.youtube-nocookie.com/embed/${ID}?start=30`,
+  });
+
+  assert.throws(
+    () => normalizeYouTube('https://vimeo.com/1', ['content_blocks', 2, 'youtube_video']),
+    (error) =>
+      error.name === 'ValidationError' &&
+      error.details.errors[0].path.join('.') === 'content_blocks.2.youtube_video'
+  );
+});
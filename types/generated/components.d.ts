@@ -8,6 +8,11 @@ export interface CodeCode extends Struct.ComponentSchema {
   };
   attributes: {
     code: Schema.Attribute.Text;
+    filename: Schema.Attribute.String;
+    highlighted_lines: Schema.Attribute.String;
+    language: Schema.Attribute.String;
+    show_line_numbers: Schema.Attribute.Boolean &
+      Schema.Attribute.DefaultTo<false>;
   };
 }
 
@@ -53,6 +58,29 @@ export interface RichTextRichText extends Struct.ComponentSchema {
   };
 }
 
+export interface SeoSeo extends Struct.ComponentSchema {
+  collectionName: 'components_seo_seos';
+  info: {
+    description: 'Search and social metadata; empty fields fall back to the entry and its site';
+    displayName: 'seo';
+  };
+  attributes: {
+    canonical_url: Schema.Attribute.String;
+    meta_description: Schema.Attribute.Text &
+      Schema.Attribute.SetMinMaxLength<{
+        maxLength: 200;
+      }>;
+    meta_title: Schema.Attribute.String &
+      Schema.Attribute.SetMinMaxLength<{
+        maxLength: 70;
+      }>;
+    no_follow: Schema.Attribute.Boolean & Schema.Attribute.DefaultTo<false>;
+    no_index: Schema.Attribute.Boolean & Schema.Attribute.DefaultTo<false>;
+    og_image: Schema.Attribute.Media<'images'>;
+    structured_data: Schema.Attribute.JSON;
+  };
+}
+
 export interface TableHtmltable extends Struct.ComponentSchema {
   collectionName: 'components_table_htmltables';
   info: {
@@ -60,6 +88,7 @@ export interface TableHtmltable extends Struct.ComponentSchema {
   };
   attributes: {
     htmltable: Schema.Attribute.Text;
+    table_data: Schema.Attribute.JSON;
   };
 }
 
@@ -69,6 +98,11 @@ export interface YoutubeVideoYoutubeVideo extends Struct.ComponentSchema {
     displayName: 'youtube_video';
   };
   attributes: {
+    embed_url: Schema.Attribute.String;
+    playlist_id: Schema.Attribute.String;
+    start_time: Schema.Attribute.Integer;
+    thumbnail_url: Schema.Attribute.String;
+    video_id: Schema.Attribute.String;
     youtube_video: Schema.Attribute.String;
   };
 }
@@ -81,6 +115,7 @@ declare module '@strapi/strapi' {
       'image.image': ImageImage;
       'rich-text.blocks': RichTextBlocks;
       'rich-text.rich-text': RichTextRichText;
+      'seo.seo': SeoSeo;
       'table.htmltable': TableHtmltable;
       'youtube-video.youtube-video': YoutubeVideoYoutubeVideo;
     }